@@ -1,447 +1,1525 @@
-﻿/**
- * Aplicación principal para la visualización del problema de las N-Reinas
- * Gestiona la interfaz de usuario y coordina el algoritmo evolutivo
- */
-
-class NQueensApp {
-    constructor() {
-        this.solver = new NQueensSolver();
-        this.isAnimating = false;
-        this.animationQueue = [];
-        this.startTime = 0;
-
-        this.initializeElements();
-        this.setupEventListeners();
-        this.initializeSolver();
-        this.renderBoard();
-    }
-
-    /**
-     * Inicializa referencias a elementos del DOM
-     */
-    initializeElements() {
-        // Controles
-        this.boardSizeInput = document.getElementById('boardSize');
-        this.maxIterationsInput = document.getElementById('maxIterations');
-        this.populationSizeInput = document.getElementById('populationSize');
-        this.mutationRateInput = document.getElementById('mutationRate');
-        this.animationSpeedSelect = document.getElementById('animationSpeed');
-
-        // Botones
-        this.solveBtn = document.getElementById('solveBtn');
-        this.resetBtn = document.getElementById('resetBtn');
-        this.stepBtn = document.getElementById('stepBtn');
-
-        // Tablero
-        this.chessboard = document.getElementById('chessboard');
-
-        // Información
-        this.statusElement = document.getElementById('status');
-        this.conflictsElement = document.getElementById('conflicts');
-        this.iterationsElement = document.getElementById('iterations');
-        this.fitnessElement = document.getElementById('fitness');
-        this.mutationRateDisplayElement = document.getElementById('mutationRateDisplay');
-
-        // Estadísticas
-        this.totalTimeElement = document.getElementById('totalTime');
-        this.avgTimePerIterElement = document.getElementById('avgTimePerIter');
-        this.solutionFoundElement = document.getElementById('solutionFound');
-        this.efficiencyElement = document.getElementById('efficiency');
-        this.bestFitnessElement = document.getElementById('bestFitness');
-        this.avgFitnessElement = document.getElementById('avgFitness');
-
-        // Log
-        this.logElement = document.getElementById('log');
-    }
-
-    /**
-     * Configura los event listeners
-     */
-    setupEventListeners() {
-        this.solveBtn.addEventListener('click', () => {
-            if (this.solver.isExecuting()) {
-                this.solver.stop();
-                this.updateButtonStates();
-            } else {
-                this.startSolving();
-            }
-        });
-
-        this.resetBtn.addEventListener('click', () => {
-            this.solver.reset();
-            this.updateButtonStates();
-            this.clearLog();
-            this.updateStats();
-        });
-
-        this.stepBtn.addEventListener('click', () => {
-            if (this.solver.isExecuting()) {
-                this.solver.step();
-            } else {
-                this.startStepMode();
-            }
-        });
-
-        const controls = [
-            this.boardSizeInput,
-            this.maxIterationsInput,
-            this.populationSizeInput,
-            this.mutationRateInput,
-            this.animationSpeedSelect
-        ];
-
-        controls.forEach(control => {
-            control.addEventListener('change', () => {
-                this.updateSolverParameters();
-            });
-        });
-    }
-
-    /**
-     * Inicializa el solver con parámetros por defecto
-     */
-    initializeSolver() {
-        this.updateSolverParameters();
-        this.solver.setCallbacks({
-            onUpdate: (payload) => {
-                this.onSolverUpdate(payload);
-            },
-            onComplete: (success, generations) => {
-                this.onSolverComplete(success, generations);
-            },
-            onLog: (message) => {
-                this.addLogEntry(message);
-            }
-        });
-    }
-
-    /**
-     * Normaliza y obtiene la tasa de mutación
-     */
-    getNormalizedMutationRate() {
-        let value = parseFloat(this.mutationRateInput.value);
-        if (Number.isNaN(value)) {
-            value = 0.1;
-        }
-        value = Math.max(0, Math.min(1, value));
-        this.mutationRateInput.value = value;
-        return value;
-    }
-
-    /**
-     * Actualiza el display de la tasa de mutación
-     */
-    updateMutationDisplay(rate) {
-        const percentage = (rate * 100).toFixed(1).replace(/\.0$/, '');
-        this.mutationRateDisplayElement.textContent = `${percentage}%`;
-    }
-
-    /**
-     * Actualiza los parámetros del solver basado en los controles
-     */
-    updateSolverParameters() {
-        const N = parseInt(this.boardSizeInput.value, 10);
-        const maxGenerations = parseInt(this.maxIterationsInput.value, 10);
-        const animationSpeed = parseInt(this.animationSpeedSelect.value, 10);
-        const populationSize = Math.max(10, Math.min(500, parseInt(this.populationSizeInput.value, 10) || 100));
-        const mutationRate = this.getNormalizedMutationRate();
-
-        this.populationSizeInput.value = populationSize;
-        this.updateMutationDisplay(mutationRate);
-
-        this.solver.initialize({
-            N,
-            maxGenerations,
-            animationSpeed,
-            populationSize,
-            mutationRate
-        });
-
-        this.renderBoard();
-        const initialConflicts = this.solver.getConflicts();
-        const initialFitness = this.solver.getCurrentFitness();
-        this.updateInfo(initialConflicts, 0, initialFitness);
-        this.updateStats();
-    }
-
-    /**
-     * Inicia la resolución automática
-     */
-    async startSolving() {
-        this.startTime = performance.now();
-        this.updateButtonStates();
-        this.clearLog();
-        this.addLogEntry('Iniciando algoritmo evolutivo...');
-
-        await this.solver.solve();
-    }
-
-    /**
-     * Inicia el modo paso a paso
-     */
-    startStepMode() {
-        this.startTime = performance.now();
-        this.updateButtonStates();
-        this.clearLog();
-        this.addLogEntry('Modo paso a paso activado (algoritmo evolutivo)');
-
-        this.solver.step();
-    }
-
-    /**
-     * Maneja las actualizaciones del solver
-     */
-    onSolverUpdate({
-        board,
-        conflicts,
-        generation,
-        fitness,
-        bestFitness,
-        avgFitness,
-        mutationRate,
-        movedRow = null,
-        movedCol = null
-    }) {
-        this.renderBoard(board, movedRow, movedCol);
-        this.updateInfo(conflicts, generation, fitness);
-        this.updateStats({
-            generations: generation,
-            bestFitness,
-            avgFitness,
-            mutationRate,
-            conflicts,
-            solutionFound: conflicts === 0,
-            efficiency: this.solver.getEfficiency()
-        });
-    }
-
-    /**
-     * Maneja la finalización del solver
-     */
-    onSolverComplete(success, generations) {
-        const endTime = performance.now();
-        const totalTime = endTime - this.startTime;
-
-        if (success) {
-            this.addLogEntry(`✅ Solución encontrada en ${generations} generaciones`);
-            this.addLogEntry(`⏱️ Tiempo total: ${totalTime.toFixed(2)}ms`);
-        } else {
-            this.addLogEntry(`❌ No se encontró solución en ${generations} generaciones`);
-        }
-
-        this.updateButtonStates();
-        this.updateStats();
-    }
-
-    /**
-     * Renderiza el tablero de ajedrez
-     */
-    renderBoard(X = null, movedRow = null, movedCol = null) {
-        const currentX = X || this.solver.getBoard();
-        const N = currentX.length;
-
-        if (currentX.length !== N) {
-            console.error(`ERROR: Vector X tiene ${currentX.length} elementos, esperaba ${N}`);
-            return;
-        }
-
-        this.chessboard.innerHTML = '';
-        this.chessboard.style.gridTemplateColumns = `repeat(${N}, 1fr)`;
-        this.chessboard.style.gridTemplateRows = `repeat(${N}, 1fr)`;
-
-        for (let row = 0; row < N; row++) {
-            for (let col = 0; col < N; col++) {
-                const cell = document.createElement('div');
-                cell.className = 'cell';
-                cell.dataset.row = row;
-                cell.dataset.col = col;
-
-                if ((row + col) % 2 === 0) {
-                    cell.style.backgroundColor = '#f0d9b5';
-                } else {
-                    cell.style.backgroundColor = '#b58863';
-                }
-
-                if (currentX[row] === col) {
-                    cell.classList.add('queen');
-                    cell.innerHTML = this.createQueenIcon();
-                    cell.title = `Reina en fila ${row}, columna ${col}`;
-                }
-
-                if (movedRow !== null && movedCol !== null && row === movedRow && col === movedCol) {
-                    cell.classList.add('highlight');
-                    setTimeout(() => {
-                        cell.classList.remove('highlight');
-                    }, 1000);
-                }
-
-                this.chessboard.appendChild(cell);
-            }
-        }
-
-        this.highlightConflicts(currentX);
-    }
-
-    /**
-     * Crea un icono de reina
-     */
-    createQueenIcon() {
-        return `
-            <div class="queen-icon">
-                <div class="queen-crown">
-                    <div class="crown-point"></div>
-                    <div class="crown-point"></div>
-                    <div class="crown-point"></div>
-                </div>
-                <div class="queen-body"></div>
-            </div>
-        `;
-    }
-
-    /**
-     * Resalta las reinas en conflicto
-     */
-    highlightConflicts(X) {
-        const cells = this.chessboard.querySelectorAll('.cell');
-        const N = X.length;
-
-        cells.forEach(cell => cell.classList.remove('conflict'));
-
-        for (let i = 0; i < N; i++) {
-            for (let j = i + 1; j < N; j++) {
-                if (Math.abs(X[i] - X[j]) === Math.abs(i - j)) {
-                    const cell1 = this.chessboard.querySelector(`[data-row="${i}"][data-col="${X[i]}"]`);
-                    const cell2 = this.chessboard.querySelector(`[data-row="${j}"][data-col="${X[j]}"]`);
-
-                    if (cell1) cell1.classList.add('conflict');
-                    if (cell2) cell2.classList.add('conflict');
-                }
-            }
-        }
-    }
-
-    /**
-     * Actualiza la información del tablero
-     */
-    updateInfo(conflicts, generation, fitness) {
-        this.conflictsElement.textContent = conflicts;
-        this.iterationsElement.textContent = generation;
-
-        if (typeof fitness === 'number') {
-            this.fitnessElement.textContent = fitness.toFixed(2);
-        } else {
-            this.fitnessElement.textContent = '-';
-        }
-
-        if (conflicts === 0) {
-            this.statusElement.textContent = 'Solución encontrada';
-            this.statusElement.style.color = '#28a745';
-        } else if (this.solver.isExecuting()) {
-            this.statusElement.textContent = 'Evolucionando población...';
-            this.statusElement.style.color = '#ffc107';
-        } else {
-            this.statusElement.textContent = 'Listo';
-            this.statusElement.style.color = '#6c757d';
-        }
-    }
-
-    /**
-     * Actualiza las estadísticas
-     */
-    updateStats(externalStats = null) {
-        const stats = externalStats || this.solver.getPerformanceStats();
-        const generations = stats.generations ?? stats.iterations ?? 0;
-        const conflicts = stats.conflicts ?? this.solver.getConflicts();
-        const endTime = performance.now();
-        const totalTime = this.startTime > 0 ? endTime - this.startTime : 0;
-
-        this.totalTimeElement.textContent = `${totalTime.toFixed(0)}ms`;
-        this.avgTimePerIterElement.textContent = generations > 0 ?
-            `${(totalTime / generations).toFixed(1)}ms` : '0ms';
-        this.solutionFoundElement.textContent = conflicts === 0 ? 'Sí' : 'No';
-        this.efficiencyElement.textContent = stats.efficiency ?? '-';
-
-        if (typeof stats.bestFitness === 'number') {
-            this.bestFitnessElement.textContent = stats.bestFitness.toFixed(2);
-        } else {
-            this.bestFitnessElement.textContent = '-';
-        }
-
-        if (typeof stats.avgFitness === 'number') {
-            this.avgFitnessElement.textContent = stats.avgFitness.toFixed(2);
-        } else {
-            this.avgFitnessElement.textContent = '-';
-        }
-
-        if (typeof stats.mutationRate === 'number') {
-            this.updateMutationDisplay(stats.mutationRate);
-        }
-    }
-
-    /**
-     * Actualiza el estado de los botones
-     */
-    updateButtonStates() {
-        const isExecuting = this.solver.isExecuting();
-
-        if (isExecuting) {
-            this.solveBtn.innerHTML = '<i class="fas fa-stop"></i> Detener';
-            this.solveBtn.classList.remove('btn-primary');
-            this.solveBtn.classList.add('btn-secondary');
-            this.stepBtn.disabled = true;
-        } else {
-            this.solveBtn.innerHTML = '<i class="fas fa-play"></i> Resolver';
-            this.solveBtn.classList.remove('btn-secondary');
-            this.solveBtn.classList.add('btn-primary');
-            this.stepBtn.disabled = false;
-        }
-
-        this.resetBtn.disabled = isExecuting;
-        this.boardSizeInput.disabled = isExecuting;
-        this.maxIterationsInput.disabled = isExecuting;
-        this.populationSizeInput.disabled = isExecuting;
-        this.mutationRateInput.disabled = isExecuting;
-        this.animationSpeedSelect.disabled = isExecuting;
-    }
-
-    /**
-     * Agrega una entrada al log
-     */
-    addLogEntry(message, type = 'info') {
-        const logEntry = document.createElement('div');
-        logEntry.className = `log-entry ${type}`;
-
-        const timestamp = new Date().toLocaleTimeString();
-        logEntry.innerHTML = `<span style="color: #666;">[${timestamp}]</span> ${message}`;
-
-        this.logElement.appendChild(logEntry);
-        this.logElement.scrollTop = this.logElement.scrollHeight;
-
-        const entries = this.logElement.querySelectorAll('.log-entry');
-        if (entries.length > 100) {
-            entries[0].remove();
-        }
-    }
-
-    /**
-     * Limpia el log
-     */
-    clearLog() {
-        this.logElement.innerHTML = '';
-    }
-
-    /**
-     * Inicializa la aplicación
-     */
-    init() {
-        this.addLogEntry('Aplicación inicializada correctamente');
-        this.addLogEntry('Algoritmo: Evolutivo (Genético) con selección por torneo');
-        this.addLogEntry('Listo para resolver el problema de las N-Reinas');
-    }
-}
-
-document.addEventListener('DOMContentLoaded', () => {
-    const app = new NQueensApp();
-    app.init();
-    window.nQueensApp = app;
-});
+﻿/**
+ * Aplicación principal para la visualización del problema de las N-Reinas
+ * Gestiona la interfaz de usuario y coordina el algoritmo evolutivo
+ */
+
+class NQueensApp {
+    constructor() {
+        this.solver = new SolverWorkerClient('solver_worker.js');
+        this.isAnimating = false;
+        this.animationQueue = [];
+        this.startTime = 0;
+        this.pausedAt = 0;
+
+        this.isEditing = false;
+        this.editBoard = [];
+        this.seedBoard = null;
+        this.dragFrom = null;
+        this.fixedQueens = [];
+        this.blockedCells = [];
+        this.boardRules = new QueensRules(8);
+
+        // Por encima de este N el tablero se dibuja en canvas en lugar de con casillas del DOM
+        this.canvasBoardThreshold = 50;
+
+        this.initializeElements();
+        this.benchmarkPanel = new BenchmarkPanel(this);
+        this.sweepPanel = new SweepPanel(this);
+        this.comparePanel = new ComparePanel(this);
+        this.solutionGallery = new SolutionGallery(this);
+        this.runRecorder = new RunRecorder();
+        this.timeline = new RunTimeline(this, this.runRecorder);
+        this.attackInspector = new AttackInspector(this);
+        this.setupEventListeners();
+
+        const sharedBoard = this.restoreFromUrlHash();
+        this.initializeSolver();
+        this.renderBoard();
+        if (sharedBoard) {
+            this.loadBoard(sharedBoard, 'enlace compartido');
+        }
+    }
+
+    /**
+     * Inicializa referencias a elementos del DOM
+     */
+    initializeElements() {
+        // Controles
+        this.solverTypeSelect = document.getElementById('solverType');
+        this.backtrackingModeSelect = document.getElementById('backtrackingMode');
+        this.boardSizeInput = document.getElementById('boardSize');
+        this.maxIterationsInput = document.getElementById('maxIterations');
+        this.maxIterationsLabelElement = document.getElementById('maxIterationsLabel');
+        this.initialTemperatureInput = document.getElementById('initialTemperature');
+        this.coolingRateInput = document.getElementById('coolingRate');
+        this.populationSizeInput = document.getElementById('populationSize');
+        this.mutationRateInput = document.getElementById('mutationRate');
+        this.selectionStrategySelect = document.getElementById('selectionStrategy');
+        this.tournamentSizeInput = document.getElementById('tournamentSize');
+        this.crossoverOperatorSelect = document.getElementById('crossoverOperator');
+        this.mutationOperatorSelect = document.getElementById('mutationOperator');
+        this.mutationScheduleSelect = document.getElementById('mutationSchedule');
+        this.animationSpeedSelect = document.getElementById('animationSpeed');
+        this.seedInput = document.getElementById('seed');
+        this.diversityHeatmapInput = document.getElementById('diversityHeatmap');
+        this.attackLinesInput = document.getElementById('attackLines');
+        this.targetSolutionsInput = document.getElementById('targetSolutions');
+        this.solutionTimeLimitInput = document.getElementById('solutionTimeLimit');
+        this.timeBudgetInput = document.getElementById('timeBudget');
+        this.targetConflictsInput = document.getElementById('targetConflicts');
+        this.stagnationLimitInput = document.getElementById('stagnationLimit');
+        this.restartPolicySelect = document.getElementById('restartPolicy');
+        this.seedBoardRatioInput = document.getElementById('seedBoardRatio');
+        this.islandCountInput = document.getElementById('islandCount');
+        this.migrationIntervalInput = document.getElementById('migrationInterval');
+        this.migrationTopologySelect = document.getElementById('migrationTopology');
+        this.migrantsInput = document.getElementById('migrants');
+        this.variantSelect = document.getElementById('variant');
+
+        // Botones
+        this.solveBtn = document.getElementById('solveBtn');
+        this.resetBtn = document.getElementById('resetBtn');
+        this.stepBtn = document.getElementById('stepBtn');
+        this.pauseBtn = document.getElementById('pauseBtn');
+        this.saveCheckpointBtn = document.getElementById('saveCheckpointBtn');
+        this.loadCheckpointBtn = document.getElementById('loadCheckpointBtn');
+        this.checkpointFileInput = document.getElementById('checkpointFile');
+        this.editBtn = document.getElementById('editBtn');
+        this.clearBoardBtn = document.getElementById('clearBoardBtn');
+        this.editToolSelect = document.getElementById('editTool');
+        this.boardFormatSelect = document.getElementById('boardFormat');
+        this.boardTextInput = document.getElementById('boardText');
+        this.boardIoErrorElement = document.getElementById('boardIoError');
+        this.exportBoardBtn = document.getElementById('exportBoardBtn');
+        this.importBoardBtn = document.getElementById('importBoardBtn');
+        this.shareLinkBtn = document.getElementById('shareLinkBtn');
+
+        // Tablero
+        this.chessboard = document.getElementById('chessboard');
+        this.boardCanvas = document.getElementById('boardCanvas');
+        this.boardRenderer = new CanvasBoardRenderer(this.boardCanvas);
+        this.cells = [];
+
+        // Información
+        this.statusElement = document.getElementById('status');
+        this.conflictsElement = document.getElementById('conflicts');
+        this.iterationsElement = document.getElementById('iterations');
+        this.iterationsLabelElement = document.getElementById('iterationsLabel');
+        this.fitnessElement = document.getElementById('fitness');
+        this.mutationRateDisplayElement = document.getElementById('mutationRateDisplay');
+        this.methodInfoElement = document.getElementById('methodInfo');
+        this.selectionInfoElement = document.getElementById('selectionInfo');
+        this.crossoverInfoElement = document.getElementById('crossoverInfo');
+        this.mutationInfoElement = document.getElementById('mutationInfo');
+
+        // Estadísticas
+        this.totalTimeElement = document.getElementById('totalTime');
+        this.avgTimePerIterElement = document.getElementById('avgTimePerIter');
+        this.solutionFoundElement = document.getElementById('solutionFound');
+        this.efficiencyElement = document.getElementById('efficiency');
+        this.bestFitnessElement = document.getElementById('bestFitness');
+        this.avgFitnessElement = document.getElementById('avgFitness');
+        this.solutionsFoundElement = document.getElementById('solutionsFound');
+        this.nodesExploredElement = document.getElementById('nodesExplored');
+        this.endReasonElement = document.getElementById('endReason');
+        this.uniqueIndividualsElement = document.getElementById('uniqueIndividuals');
+        this.hammingDistanceElement = document.getElementById('hammingDistance');
+        this.meanEntropyElement = document.getElementById('meanEntropy');
+        this.columnEntropyElement = document.getElementById('columnEntropy');
+        this.migrationsElement = document.getElementById('migrations');
+        this.islandConflictsElement = document.getElementById('islandConflicts');
+        this.chartCsvBtn = document.getElementById('chartCsvBtn');
+        this.fitnessChart = new FitnessChart(
+            document.getElementById('fitnessChart'),
+            document.getElementById('chartTooltip')
+        );
+
+        // Log
+        this.logElement = document.getElementById('log');
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        this.solveBtn.addEventListener('click', () => {
+            if (this.solver.isExecuting()) {
+                this.solver.stop();
+                this.updateButtonStates();
+            } else if (this.solver.isPaused()) {
+                this.resumeSolving();
+            } else {
+                this.startSolving();
+            }
+        });
+
+        this.pauseBtn.addEventListener('click', () => {
+            if (this.solver.isExecuting()) {
+                this.solver.pause();
+            }
+        });
+
+        this.saveCheckpointBtn.addEventListener('click', () => this.saveCheckpoint());
+        this.loadCheckpointBtn.addEventListener('click', () => this.checkpointFileInput.click());
+        this.checkpointFileInput.addEventListener('change', () => {
+            const [file] = this.checkpointFileInput.files;
+            this.checkpointFileInput.value = '';
+            if (file) {
+                this.loadCheckpointFile(file);
+            }
+        });
+
+        this.resetBtn.addEventListener('click', () => {
+            this.solver.reset();
+            this.updateButtonStates();
+            this.clearLog();
+            this.updateStats();
+            this.fitnessChart.clear();
+            this.solutionGallery.clear();
+            this.runRecorder.clear();
+            this.timeline.refresh(true);
+        });
+
+        this.editBtn.addEventListener('click', () => {
+            if (this.isEditing) {
+                this.finishEditing();
+            } else {
+                this.startEditing();
+            }
+        });
+
+        this.clearBoardBtn.addEventListener('click', () => {
+            this.editBoard.fill(-1);
+            this.fixedQueens = [];
+            this.blockedCells = [];
+            this.updateBoardRules();
+            this.renderEditBoard();
+        });
+
+        [this.chessboard, this.boardCanvas].forEach(board => {
+            board.addEventListener('mousedown', (event) => {
+                const cell = this.isEditing ? this.getEventCell(event) : null;
+                if (!cell) {
+                    return;
+                }
+                event.preventDefault();
+                if (this.editBoard[cell.row] === cell.col && this.getEditTool() === 'queen' &&
+                    !this.boardRules.isFixed(cell.row, cell.col)) {
+                    this.dragFrom = cell;
+                    const element = this.cells[cell.row * this.editBoard.length + cell.col];
+                    if (element) {
+                        element.classList.add('drag-source');
+                    }
+                }
+            });
+
+            board.addEventListener('mouseup', (event) => {
+                const cell = this.isEditing ? this.getEventCell(event) : null;
+                if (cell) {
+                    this.editCell(cell.row, cell.col);
+                }
+                this.dragFrom = null;
+            });
+
+            board.addEventListener('mouseleave', () => {
+                if (this.dragFrom) {
+                    this.dragFrom = null;
+                    this.renderEditBoard();
+                }
+            });
+        });
+
+        this.exportBoardBtn.addEventListener('click', () => this.exportBoard());
+        this.importBoardBtn.addEventListener('click', () => this.importBoard());
+        this.shareLinkBtn.addEventListener('click', () => this.copyShareLink());
+
+        this.chartCsvBtn.addEventListener('click', () => {
+            downloadTextFile('nqueens-convergencia.csv', this.fitnessChart.toCSV(), 'text/csv');
+        });
+
+        this.stepBtn.addEventListener('click', () => {
+            if (this.solver.isExecuting()) {
+                this.solver.step();
+            } else {
+                this.startStepMode();
+            }
+        });
+
+        const controls = [
+            this.solverTypeSelect,
+            this.backtrackingModeSelect,
+            this.boardSizeInput,
+            this.maxIterationsInput,
+            this.initialTemperatureInput,
+            this.coolingRateInput,
+            this.populationSizeInput,
+            this.mutationRateInput,
+            this.selectionStrategySelect,
+            this.tournamentSizeInput,
+            this.crossoverOperatorSelect,
+            this.mutationOperatorSelect,
+            this.mutationScheduleSelect,
+            this.animationSpeedSelect,
+            this.seedInput,
+            this.targetSolutionsInput,
+            this.solutionTimeLimitInput,
+            this.timeBudgetInput,
+            this.targetConflictsInput,
+            this.stagnationLimitInput,
+            this.restartPolicySelect,
+            this.seedBoardRatioInput,
+            this.diversityHeatmapInput,
+            this.islandCountInput,
+            this.migrationIntervalInput,
+            this.migrationTopologySelect,
+            this.migrantsInput,
+            this.variantSelect
+        ];
+
+        controls.forEach(control => {
+            control.addEventListener('change', () => {
+                this.updateSolverParameters();
+            });
+        });
+    }
+
+    /**
+     * Inicializa el solver con parámetros por defecto
+     */
+    initializeSolver() {
+        this.updateSolverParameters();
+        this.solver.setCallbacks({
+            onUpdate: (payload) => {
+                this.onSolverUpdate(payload);
+            },
+            onGeneration: (payload) => {
+                this.runRecorder.record(payload);
+            },
+            onComplete: (success, generations, reason) => {
+                this.onSolverComplete(success, generations, reason);
+            },
+            onLog: (message) => {
+                this.addLogEntry(message);
+            },
+            onSolution: (solution) => {
+                this.solutionGallery.add(solution);
+            }
+        });
+    }
+
+    /**
+     * Normaliza y obtiene la tasa de mutación
+     */
+    getNormalizedMutationRate() {
+        let value = parseFloat(this.mutationRateInput.value);
+        if (Number.isNaN(value)) {
+            value = 0.1;
+        }
+        value = Math.max(0, Math.min(1, value));
+        this.mutationRateInput.value = value;
+        return value;
+    }
+
+    /**
+     * Obtiene la semilla introducida (null si el campo está vacío)
+     */
+    getSeed() {
+        const value = this.seedInput.value.trim();
+        return value === '' ? null : value;
+    }
+
+    /**
+     * Actualiza el display de la tasa de mutación
+     */
+    updateMutationDisplay(rate) {
+        const percentage = (rate * 100).toFixed(1).replace(/\.0$/, '');
+        this.mutationRateDisplayElement.textContent = `${percentage}%`;
+    }
+
+    /**
+     * Muestra la estrategia de selección en uso en el panel de información
+     */
+    updateSelectionInfo(selection, tournamentSize) {
+        const strategy = SELECTION_STRATEGIES[selection] || SELECTION_STRATEGIES.tournament;
+        this.selectionInfoElement.textContent = strategy.describe({ tournamentSize });
+        this.tournamentSizeInput.disabled = selection !== 'tournament' || this.solver.isExecuting();
+    }
+
+    /**
+     * Muestra el operador y el plan de mutación en el panel de información
+     */
+    updateMutationInfo(mutationOperator, mutationSchedule) {
+        const operator = MUTATION_OPERATORS[mutationOperator] || MUTATION_OPERATORS.swap;
+        const schedule = MUTATION_SCHEDULES[mutationSchedule] || MUTATION_SCHEDULES.fixed;
+        this.mutationInfoElement.textContent = `${operator.label} (tasa ${schedule.label.toLowerCase()})`;
+    }
+
+    /**
+     * Tipo de solver seleccionado y su entrada en el registro
+     */
+    getSolverType() {
+        return SOLVER_TYPES[this.solverTypeSelect.value] ? this.solverTypeSelect.value : 'genetic';
+    }
+
+    getSolverEntry() {
+        return SOLVER_TYPES[this.getSolverType()];
+    }
+
+    /**
+     * Muestra solo los controles y paneles que aplican al solver seleccionado
+     */
+    updateSolverControls(solverType) {
+        document.querySelectorAll('[data-solvers]').forEach(element => {
+            element.hidden = !element.dataset.solvers.split(' ').includes(solverType);
+        });
+
+        const entry = SOLVER_TYPES[solverType];
+        this.methodInfoElement.textContent = entry.label;
+        this.iterationsLabelElement.textContent = `${entry.infoLabel}:`;
+        this.maxIterationsLabelElement.textContent = `Máximo de ${entry.iterationLabel}:`;
+    }
+
+    /**
+     * Lee y normaliza la configuración del solver a partir de los controles
+     */
+    readSolverConfig() {
+        const solver = this.getSolverType();
+        const mode = this.backtrackingModeSelect.value;
+        const initialTemperature = parseFloat(this.initialTemperatureInput.value) || 2;
+        const coolingRate = parseFloat(this.coolingRateInput.value) || 0.995;
+        const N = Math.max(4, Math.min(1000, parseInt(this.boardSizeInput.value, 10) || 8));
+        const maxGenerations = parseInt(this.maxIterationsInput.value, 10);
+        const animationSpeed = parseInt(this.animationSpeedSelect.value, 10);
+        const populationSize = Math.max(10, Math.min(500, parseInt(this.populationSizeInput.value, 10) || 100));
+        const mutationRate = this.getNormalizedMutationRate();
+        const seed = this.getSeed();
+        const selection = this.selectionStrategySelect.value;
+        const tournamentSize = Math.max(2, Math.min(20, parseInt(this.tournamentSizeInput.value, 10) || 3));
+        const crossover = this.crossoverOperatorSelect.value;
+        const mutationOperator = this.mutationOperatorSelect.value;
+        const mutationSchedule = this.mutationScheduleSelect.value;
+        const diversityHeatmap = this.diversityHeatmapInput.checked;
+        const targetSolutions = Math.max(1, Math.min(1000, parseInt(this.targetSolutionsInput.value, 10) || 1));
+        const solutionTimeLimit = Math.max(0, parseFloat(this.solutionTimeLimitInput.value) || 0);
+        const timeBudget = Math.max(0, parseFloat(this.timeBudgetInput.value) || 0);
+        const targetConflicts = Math.max(0, parseInt(this.targetConflictsInput.value, 10) || 0);
+        const stagnationLimit = Math.max(0, parseInt(this.stagnationLimitInput.value, 10) || 0);
+        const restartPolicy = this.restartPolicySelect.value;
+        const seedBoardPercent = Math.max(1, Math.min(100, parseInt(this.seedBoardRatioInput.value, 10) || 25));
+        const seedBoard = this.seedBoard && this.seedBoard.length === N ? [...this.seedBoard] : null;
+        const islands = Math.max(2, Math.min(16, parseInt(this.islandCountInput.value, 10) || 4));
+        const migrationInterval = Math.max(1, Math.min(1000, parseInt(this.migrationIntervalInput.value, 10) || 20));
+        const migrationTopology = this.migrationTopologySelect.value;
+        const migrants = Math.max(1, Math.min(50, parseInt(this.migrantsInput.value, 10) || 2));
+        const variant = this.variantSelect.value;
+        const inBoard = ({ row, col }) => row < N && col < N;
+        const fixedQueens = this.fixedQueens.filter(inBoard);
+        const blockedCells = this.blockedCells.filter(inBoard);
+
+        this.boardSizeInput.value = N;
+        this.populationSizeInput.value = populationSize;
+        this.tournamentSizeInput.value = tournamentSize;
+        this.targetSolutionsInput.value = targetSolutions;
+        this.solutionTimeLimitInput.value = solutionTimeLimit;
+        this.timeBudgetInput.value = timeBudget;
+        this.targetConflictsInput.value = targetConflicts;
+        this.stagnationLimitInput.value = stagnationLimit;
+        this.seedBoardRatioInput.value = seedBoardPercent;
+        this.islandCountInput.value = islands;
+        this.migrationIntervalInput.value = migrationInterval;
+        this.migrantsInput.value = migrants;
+        this.updateMutationDisplay(mutationRate);
+        this.updateSelectionInfo(selection, tournamentSize);
+        this.crossoverInfoElement.textContent = (CROSSOVER_OPERATORS[crossover] || CROSSOVER_OPERATORS.ox).label;
+        this.updateMutationInfo(mutationOperator, mutationSchedule);
+        this.updateSolverControls(solver);
+
+        return {
+            solver,
+            mode,
+            initialTemperature,
+            coolingRate,
+            N,
+            maxGenerations,
+            animationSpeed,
+            populationSize,
+            mutationRate,
+            selection,
+            tournamentSize,
+            crossover,
+            mutationOperator,
+            mutationSchedule,
+            diversityHeatmap,
+            targetSolutions,
+            solutionTimeLimit,
+            timeBudget,
+            targetConflicts,
+            stagnationLimit,
+            restartPolicy,
+            seedBoard,
+            seedBoardRatio: seedBoardPercent / 100,
+            islands,
+            migrationInterval,
+            migrationTopology,
+            migrants,
+            variant,
+            fixedQueens,
+            blockedCells,
+            seed
+        };
+    }
+
+    /**
+     * Actualiza los parámetros del solver basado en los controles
+     */
+    updateSolverParameters() {
+        this.runRecorder.clear();
+        const config = this.readSolverConfig();
+        this.solver.initialize(config);
+        this.updateBoardRules(config);
+        this.fitnessChart.clear();
+        this.solutionGallery.clear();
+        this.updateUrlHash();
+
+        if (this.isEditing) {
+            this.renderEditBoard();
+            return;
+        }
+
+        this.renderBoard();
+        const initialConflicts = this.solver.getConflicts();
+        const initialFitness = this.solver.getCurrentFitness();
+        this.updateInfo(initialConflicts, 0, initialFitness, this.solver.getPerformanceStats().solutionFound);
+        this.updateStats();
+    }
+
+    /**
+     * Inicia la resolución automática
+     */
+    async startSolving() {
+        if (this.isEditing) {
+            this.finishEditing();
+        }
+
+        // Con semilla fija se parte siempre de la misma población inicial
+        if (this.getSeed() !== null) {
+            this.updateSolverParameters();
+        }
+
+        this.startTime = performance.now();
+        this.clearLog();
+        this.solutionGallery.clear();
+        this.runRecorder.clear();
+        this.addLogEntry(`Iniciando ${this.getSolverEntry().label}...`);
+
+        await this.executeRun();
+    }
+
+    /**
+     * Reanuda una ejecución en pausa sin contar el tiempo que estuvo detenida
+     */
+    async resumeSolving() {
+        this.startTime += performance.now() - this.pausedAt;
+        await this.executeRun();
+    }
+
+    /**
+     * Ejecuta el solver en modo automático hasta que termina o se pausa
+     */
+    async executeRun() {
+        const run = this.solver.solve();
+        this.updateButtonStates();
+        await run;
+        this.updateButtonStates();
+        if (this.solver.isPaused()) {
+            this.onSolverPaused();
+        }
+    }
+
+    /**
+     * Refleja en la interfaz que la ejecución quedó en pausa
+     */
+    onSolverPaused() {
+        this.pausedAt = performance.now();
+        this.statusElement.textContent = 'En pausa';
+        this.statusElement.style.color = '#17a2b8';
+        this.updateStats();
+    }
+
+    /**
+     * Descarga un punto de control de la ejecución actual
+     */
+    async saveCheckpoint() {
+        try {
+            const checkpoint = await this.solver.getCheckpoint();
+            downloadTextFile(`nqueens-checkpoint-N${checkpoint.config.N}-gen${checkpoint.generation}.json`,
+                JSON.stringify(checkpoint), 'application/json');
+            this.addLogEntry(`Punto de control guardado en la generación ${checkpoint.generation}`, 'success');
+        } catch (error) {
+            if (!(error instanceof CheckpointError)) {
+                throw error;
+            }
+            this.addLogEntry(`Punto de control no guardado: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Carga un punto de control: copia su configuración a los controles y deja la
+     * ejecución en pausa para continuarla con Reanudar
+     */
+    async loadCheckpointFile(file) {
+        if (this.solver.isExecuting()) {
+            this.addLogEntry('Detén el solver antes de cargar un punto de control', 'warning');
+            return;
+        }
+
+        let checkpoint;
+        try {
+            checkpoint = JSON.parse(await file.text());
+            validateCheckpoint(checkpoint);
+        } catch (error) {
+            if (!(error instanceof SyntaxError) && !(error instanceof CheckpointError)) {
+                throw error;
+            }
+            this.addLogEntry(`Punto de control no cargado: ${error.message}`, 'error');
+            return;
+        }
+
+        if (this.isEditing) {
+            this.finishEditing();
+        }
+        this.solverTypeSelect.value = 'genetic';
+        this.applyConfigToControls(checkpoint.config);
+        this.fixedQueens = checkpoint.config.fixedQueens ?? [];
+        this.blockedCells = checkpoint.config.blockedCells ?? [];
+        this.seedBoard = checkpoint.config.seedBoard ?? null;
+
+        this.clearLog();
+        this.fitnessChart.clear();
+        this.solutionGallery.clear();
+        this.runRecorder.clear();
+        const config = this.readSolverConfig();
+        this.updateBoardRules(config);
+
+        try {
+            // La velocidad de animación es la de la página, no la de quien guardó el punto de control
+            await this.solver.loadCheckpoint(checkpoint, { animationSpeed: config.animationSpeed });
+        } catch (error) {
+            if (!(error instanceof CheckpointError)) {
+                throw error;
+            }
+            this.addLogEntry(`Punto de control no cargado: ${error.message}`, 'error');
+            return;
+        }
+
+        this.startTime = performance.now() - (checkpoint.elapsedMs || 0);
+        this.updateUrlHash();
+        this.onSolverPaused();
+        this.updateButtonStates();
+        this.addLogEntry(`Punto de control de ${file.name} cargado; pulsa Reanudar para continuar`, 'success');
+    }
+
+    /**
+     * Copia a los controles los parámetros de una configuración del solver
+     */
+    applyConfigToControls(config) {
+        // En la configuración el porcentaje de población desde el tablero es una fracción
+        const values = { ...config, seedBoardRatio: config.seedBoardRatio * 100, animationSpeed: undefined };
+        Object.entries(this.getShareableControls()).forEach(([key, control]) => {
+            if (values[key] === undefined || values[key] === null) {
+                return;
+            }
+            if (control.type === 'checkbox') {
+                control.checked = Boolean(values[key]);
+            } else {
+                control.value = values[key];
+            }
+        });
+    }
+
+    /**
+     * Inicia el modo paso a paso
+     */
+    startStepMode() {
+        if (this.isEditing) {
+            this.finishEditing();
+        }
+
+        this.startTime = performance.now();
+        this.updateButtonStates();
+        this.clearLog();
+        this.addLogEntry(`Modo paso a paso activado (${this.getSolverEntry().label})`);
+
+        this.solver.step();
+    }
+
+    /**
+     * Maneja las actualizaciones del solver
+     */
+    onSolverUpdate({
+        board,
+        conflicts,
+        generation,
+        fitness,
+        bestFitness,
+        avgFitness,
+        mutationRate,
+        conflictData = null,
+        diversity = null,
+        occupancy = null,
+        solutionFound = conflicts === 0,
+        solutionsFound,
+        fundamentalSolutions,
+        nodesExplored,
+        islands,
+        migrations,
+        movedRow = null,
+        movedCol = null
+    }) {
+        // En modo edición el tablero muestra la disposición del usuario
+        if (this.isEditing) {
+            return;
+        }
+
+        this.renderBoard(board, movedRow, movedCol, conflictData);
+        this.applyDiversityOverlay(occupancy);
+        this.updateInfo(conflicts, generation, fitness, solutionFound);
+        this.fitnessChart.record({ generation, bestFitness, avgFitness, conflicts, mutationRate });
+        if (!this.solver.isExecuting()) {
+            this.timeline.refresh(true);
+            this.updateSolveButton();
+        }
+        this.updateStats({
+            generations: generation,
+            bestFitness,
+            avgFitness,
+            mutationRate,
+            conflicts,
+            solutionFound,
+            solutionsFound,
+            fundamentalSolutions,
+            nodesExplored,
+            diversity,
+            islands,
+            migrations,
+            efficiency: this.solver.getEfficiency()
+        });
+    }
+
+    /**
+     * Maneja la finalización del solver
+     */
+    onSolverComplete(success, generations, reason = null) {
+        const endTime = performance.now();
+        const totalTime = endTime - this.startTime;
+        const unit = this.getSolverEntry().iterationLabel;
+
+        if (success) {
+            this.addLogEntry(`✅ Solución encontrada en ${generations} ${unit}`);
+            this.addLogEntry(`⏱️ Tiempo total: ${totalTime.toFixed(2)}ms`);
+        } else {
+            this.addLogEntry(`❌ No se encontró solución en ${generations} ${unit}`);
+        }
+        if (reason && reason !== 'solved') {
+            this.addLogEntry(`🏁 Motivo de fin: ${END_REASONS[reason]}`, success ? 'info' : 'warning');
+        }
+
+        this.updateButtonStates();
+        this.updateStats();
+    }
+
+    /**
+     * Renderiza el tablero de ajedrez
+     */
+    renderBoard(X = null, movedRow = null, movedCol = null, conflictData = null) {
+        const currentX = X || this.solver.getBoard();
+        const N = currentX.length;
+
+        if (currentX.length !== N) {
+            console.error(`ERROR: Vector X tiene ${currentX.length} elementos, esperaba ${N}`);
+            return;
+        }
+
+        // Los solvers envían sus datos de conflictos; sin ellos (tableros cargados o editados) se calculan aquí
+        const { rowConflicts } = conflictData || this.boardRules.analyze(currentX);
+
+        if (N > this.canvasBoardThreshold) {
+            this.useCanvasBoard(true);
+            this.boardRenderer.render(currentX, rowConflicts, { movedRow, movedCol });
+            this.attackInspector.update(currentX);
+            return;
+        }
+        this.useCanvasBoard(false);
+
+        this.chessboard.innerHTML = '';
+        this.cells = [];
+        this.chessboard.style.gridTemplateColumns = `repeat(${N}, 1fr)`;
+        this.chessboard.style.gridTemplateRows = `repeat(${N}, 1fr)`;
+
+        for (let row = 0; row < N; row++) {
+            for (let col = 0; col < N; col++) {
+                const cell = document.createElement('div');
+                cell.className = 'cell';
+                cell.dataset.row = row;
+                cell.dataset.col = col;
+
+                if ((row + col) % 2 === 0) {
+                    cell.style.backgroundColor = '#f0d9b5';
+                } else {
+                    cell.style.backgroundColor = '#b58863';
+                }
+
+                if (this.boardRules.isBlocked(row, col)) {
+                    cell.classList.add('blocked');
+                    cell.title = `Casilla bloqueada (${row}, ${col})`;
+                }
+
+                if (currentX[row] === col) {
+                    cell.classList.add('queen');
+                    cell.innerHTML = this.createQueenIcon();
+                    cell.title = `Reina en fila ${row}, columna ${col}`;
+                }
+
+                if (this.boardRules.isFixed(row, col)) {
+                    cell.classList.add('fixed');
+                    cell.title = `Reina fija en fila ${row}, columna ${col}`;
+                }
+
+                if (movedRow !== null && movedCol !== null && row === movedRow && col === movedCol) {
+                    cell.classList.add('highlight');
+                    setTimeout(() => {
+                        cell.classList.remove('highlight');
+                    }, 1000);
+                }
+
+                this.chessboard.appendChild(cell);
+                this.cells.push(cell);
+            }
+        }
+
+        this.highlightConflicts(currentX, rowConflicts);
+        this.attackInspector.update(currentX);
+    }
+
+    /**
+     * Reglas de la variante seleccionada para dibujar el tablero y sus conflictos
+     * (las variantes solo se aplican a los algoritmos genéticos)
+     */
+    updateBoardRules(config = null) {
+        const usesVariant = ['genetic', 'islands'].includes(this.getSolverType());
+        const N = config ? config.N : parseInt(this.boardSizeInput.value, 10);
+        const variant = config ?? {
+            variant: this.variantSelect.value,
+            fixedQueens: this.fixedQueens,
+            blockedCells: this.blockedCells
+        };
+
+        this.boardRules = new QueensRules(N, usesVariant ? variant : {});
+        this.boardRenderer.setRules(this.boardRules);
+        this.editToolSelect.hidden = !this.isEditing || !this.boardRules.variant.usesConstraints;
+    }
+
+    /**
+     * Herramienta de edición activa: reina, reina fija o casilla bloqueada
+     */
+    getEditTool() {
+        return this.boardRules.variant.usesConstraints ? this.editToolSelect.value : 'queen';
+    }
+
+    /**
+     * Alterna entre el tablero de casillas del DOM y el tablero en canvas
+     */
+    useCanvasBoard(useCanvas) {
+        if (useCanvas === this.isCanvasBoard()) {
+            return;
+        }
+
+        this.boardCanvas.hidden = !useCanvas;
+        this.chessboard.hidden = useCanvas;
+        if (useCanvas) {
+            // Se liberan las casillas del DOM y el canvas se repinta entero al volver a mostrarse
+            this.chessboard.innerHTML = '';
+            this.cells = [];
+            this.boardRenderer.invalidate();
+        }
+    }
+
+    /**
+     * Indica si el tablero se está dibujando en canvas
+     */
+    isCanvasBoard() {
+        return !this.boardCanvas.hidden;
+    }
+
+    /**
+     * Casilla (fila y columna) bajo el puntero en cualquiera de los dos tableros
+     */
+    getEventCell(event) {
+        if (this.isCanvasBoard()) {
+            return this.boardRenderer.cellAt(event.clientX, event.clientY);
+        }
+
+        const cell = event.target.closest('.cell');
+        return cell ? { row: parseInt(cell.dataset.row, 10), col: parseInt(cell.dataset.col, 10) } : null;
+    }
+
+    /**
+     * Entra en modo edición partiendo del tablero mostrado
+     */
+    startEditing() {
+        const N = parseInt(this.boardSizeInput.value, 10);
+        const board = this.solver.getBoard();
+        this.isEditing = true;
+        this.editBoard = this.seedBoard && this.seedBoard.length === N ? [...this.seedBoard] : [...board];
+
+        this.chessboard.classList.add('editing');
+        this.boardCanvas.classList.add('editing');
+        this.boardRenderer.panEnabled = false;
+        this.editBtn.innerHTML = '<i class="fas fa-check"></i> Terminar edición';
+        this.clearBoardBtn.hidden = false;
+        this.editToolSelect.hidden = !this.boardRules.variant.usesConstraints;
+        this.updateButtonStates();
+        this.renderEditBoard();
+        this.addLogEntry('Modo edición: haz clic en una casilla para colocar o quitar una reina y arrastra para moverla');
+    }
+
+    /**
+     * Sale del modo edición y usa el tablero como semilla de la población inicial
+     */
+    finishEditing() {
+        this.isEditing = false;
+        this.dragFrom = null;
+        this.seedBoard = this.editBoard.some(col => col >= 0) ? [...this.editBoard] : null;
+
+        this.chessboard.classList.remove('editing');
+        this.boardCanvas.classList.remove('editing');
+        this.boardRenderer.panEnabled = true;
+        this.editBtn.innerHTML = '<i class="fas fa-pen"></i> Editar tablero';
+        this.clearBoardBtn.hidden = true;
+        this.editToolSelect.hidden = true;
+
+        if (!this.seedBoard) {
+            this.addLogEntry('Tablero vacío: la población inicial vuelve a ser aleatoria');
+        } else if (['genetic', 'islands'].includes(this.getSolverType())) {
+            this.addLogEntry(`Tablero semilla: [${this.seedBoard.join(', ')}]`);
+        } else {
+            this.addLogEntry('El tablero editado solo se usa como semilla en el algoritmo genético', 'warning');
+        }
+
+        this.updateSolverParameters();
+        this.updateButtonStates();
+    }
+
+    /**
+     * Coloca, quita o mueve (si se viene de arrastrar) una reina; una reina por fila.
+     * En el modo completar también fija reinas o bloquea casillas según la herramienta.
+     */
+    editCell(row, col) {
+        const tool = this.getEditTool();
+        if (tool !== 'queen') {
+            this.editConstraint(tool, row, col);
+            return;
+        }
+
+        if (this.boardRules.isFixed(row, this.editBoard[row])) {
+            this.addLogEntry(`La fila ${row} tiene una reina fija; quítala con la herramienta de reinas fijas`, 'warning');
+            return;
+        }
+
+        if (this.dragFrom && (this.dragFrom.row !== row || this.dragFrom.col !== col)) {
+            this.editBoard[this.dragFrom.row] = -1;
+            this.editBoard[row] = col;
+        } else {
+            this.editBoard[row] = this.editBoard[row] === col ? -1 : col;
+        }
+        this.renderEditBoard();
+    }
+
+    /**
+     * Fija o suelta una reina, o bloquea o desbloquea una casilla
+     */
+    editConstraint(tool, row, col) {
+        const sameCell = cell => cell.row === row && cell.col === col;
+
+        if (tool === 'blocked') {
+            if (this.fixedQueens.some(sameCell)) {
+                this.addLogEntry(`La casilla (${row}, ${col}) tiene una reina fija y no se puede bloquear`, 'warning');
+                return;
+            }
+            this.blockedCells = this.blockedCells.some(sameCell) ?
+                this.blockedCells.filter(cell => !sameCell(cell)) : [...this.blockedCells, { row, col }];
+        } else if (this.fixedQueens.some(sameCell)) {
+            this.fixedQueens = this.fixedQueens.filter(cell => !sameCell(cell));
+        } else if (this.fixedQueens.some(cell => cell.col === col && cell.row !== row)) {
+            this.addLogEntry(`La columna ${col} ya tiene una reina fija`, 'warning');
+            return;
+        } else {
+            this.fixedQueens = [...this.fixedQueens.filter(cell => cell.row !== row), { row, col }];
+            this.blockedCells = this.blockedCells.filter(cell => !sameCell(cell));
+            this.editBoard[row] = col;
+        }
+
+        this.updateBoardRules();
+        this.renderEditBoard();
+    }
+
+    /**
+     * Dibuja el tablero editado con sus conflictos (diagonales y columnas repetidas)
+     */
+    renderEditBoard() {
+        const N = parseInt(this.boardSizeInput.value, 10);
+        if (this.editBoard.length !== N) {
+            this.editBoard = Array(N).fill(-1);
+        }
+
+        this.renderBoard(this.editBoard);
+
+        const columnCounts = new Array(N).fill(0);
+        this.editBoard.forEach(col => {
+            if (col >= 0) {
+                columnCounts[col]++;
+            }
+        });
+        const columnConflicts = columnCounts.reduce((sum, count) => sum + count * (count - 1) / 2, 0);
+        const conflicts = this.boardRules.count(this.editBoard) + columnConflicts;
+        const placed = this.editBoard.filter(col => col >= 0).length;
+        const solved = placed === N && conflicts === 0;
+
+        this.updateInfo(conflicts, 0, null, solved);
+        if (!solved) {
+            this.statusElement.textContent = `Editando (${placed}/${N} reinas)`;
+            this.statusElement.style.color = '#17a2b8';
+        }
+    }
+
+    /**
+     * Tablero mostrado: el editado en modo edición o el del solver
+     */
+    getDisplayedBoard() {
+        return this.isEditing ? [...this.editBoard] : this.solver.getBoard();
+    }
+
+    /**
+     * Escribe el tablero mostrado en el formato seleccionado
+     */
+    exportBoard() {
+        const format = BOARD_FORMATS[this.boardFormatSelect.value] || BOARD_FORMATS.permutation;
+        this.boardTextInput.value = format.serialize(this.getDisplayedBoard());
+        this.boardIoErrorElement.hidden = true;
+        this.copyToClipboard(this.boardTextInput.value, `Tablero exportado (${format.label})`);
+    }
+
+    /**
+     * Importa el tablero del cuadro de texto (el formato se detecta automáticamente)
+     */
+    importBoard() {
+        try {
+            // Se admiten filas vacías para poder reimportar los tableros parciales del modo edición
+            const { board, format } = parseBoard(this.boardTextInput.value, null, {
+                minN: parseInt(this.boardSizeInput.min, 10),
+                maxN: parseInt(this.boardSizeInput.max, 10),
+                allowEmptyRows: true
+            });
+            this.boardIoErrorElement.hidden = true;
+            this.loadBoard(board, BOARD_FORMATS[format].label);
+        } catch (error) {
+            if (!(error instanceof BoardFormatError)) {
+                throw error;
+            }
+            this.boardIoErrorElement.textContent = error.message;
+            this.boardIoErrorElement.hidden = false;
+            this.addLogEntry(`Tablero no importado: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Muestra un tablero importado en modo edición y lo usa como semilla de la población
+     */
+    loadBoard(board, source) {
+        if (this.solver.isExecuting()) {
+            this.solver.stop();
+        }
+
+        this.boardSizeInput.value = board.length;
+        this.seedBoard = [...board];
+        if (this.isEditing) {
+            this.editBoard = [...board];
+        } else {
+            this.startEditing();
+        }
+        this.updateSolverParameters();
+        this.updateButtonStates();
+        this.addLogEntry(`Tablero importado desde ${source}: [${board.join(', ')}]`, 'success');
+    }
+
+    /**
+     * Controles que se guardan en el enlace compartible, por nombre de parámetro
+     */
+    getShareableControls() {
+        return {
+            solver: this.solverTypeSelect,
+            mode: this.backtrackingModeSelect,
+            N: this.boardSizeInput,
+            maxGenerations: this.maxIterationsInput,
+            initialTemperature: this.initialTemperatureInput,
+            coolingRate: this.coolingRateInput,
+            populationSize: this.populationSizeInput,
+            mutationRate: this.mutationRateInput,
+            selection: this.selectionStrategySelect,
+            tournamentSize: this.tournamentSizeInput,
+            crossover: this.crossoverOperatorSelect,
+            mutationOperator: this.mutationOperatorSelect,
+            mutationSchedule: this.mutationScheduleSelect,
+            animationSpeed: this.animationSpeedSelect,
+            seed: this.seedInput,
+            targetSolutions: this.targetSolutionsInput,
+            solutionTimeLimit: this.solutionTimeLimitInput,
+            timeBudget: this.timeBudgetInput,
+            targetConflicts: this.targetConflictsInput,
+            stagnationLimit: this.stagnationLimitInput,
+            restartPolicy: this.restartPolicySelect,
+            seedBoardRatio: this.seedBoardRatioInput,
+            diversityHeatmap: this.diversityHeatmapInput,
+            attackLines: this.attackLinesInput,
+            islands: this.islandCountInput,
+            migrationInterval: this.migrationIntervalInput,
+            migrationTopology: this.migrationTopologySelect,
+            migrants: this.migrantsInput,
+            variant: this.variantSelect
+        };
+    }
+
+    /**
+     * Codifica la configuración (y el tablero, si se indica) en el hash de la URL
+     */
+    updateUrlHash(board = this.seedBoard) {
+        const params = new URLSearchParams();
+        Object.entries(this.getShareableControls()).forEach(([key, control]) => {
+            const value = control.type === 'checkbox' ? (control.checked ? '1' : '0') : control.value;
+            if (value !== '') {
+                params.set(key, value);
+            }
+        });
+        // El tablero y las casillas van sin codificar para que el enlace siga siendo legible (0,4,7,...)
+        let hash = `#${params.toString()}${board ? `&board=${board.join(',')}` : ''}`;
+        if (this.fixedQueens.length) {
+            hash += `&fixed=${formatCellList(this.fixedQueens)}`;
+        }
+        if (this.blockedCells.length) {
+            hash += `&blocked=${formatCellList(this.blockedCells)}`;
+        }
+        if (typeof history !== 'undefined' && history.replaceState) {
+            history.replaceState(null, '', hash);
+        } else {
+            location.hash = hash;
+        }
+    }
+
+    /**
+     * Restaura los controles desde el hash de la URL; devuelve el tablero compartido o null
+     */
+    restoreFromUrlHash() {
+        const hash = location.hash.replace(/^#/, '');
+        if (!hash) {
+            return null;
+        }
+
+        const params = new URLSearchParams(hash);
+        Object.entries(this.getShareableControls()).forEach(([key, control]) => {
+            if (!params.has(key)) {
+                return;
+            }
+            const value = params.get(key);
+
+            if (control.type === 'checkbox') {
+                control.checked = value === '1';
+            } else if (control.type === 'number' && !Number.isFinite(parseFloat(value))) {
+                this.addLogEntry(`Enlace compartido: ${key} no es un número, se mantiene ${control.value}`, 'warning');
+            } else if (control.type === 'number') {
+                const min = control.min === '' ? -Infinity : parseFloat(control.min);
+                const max = control.max === '' ? Infinity : parseFloat(control.max);
+                control.value = Math.max(min, Math.min(max, parseFloat(value)));
+            } else if (control.tagName === 'SELECT' && !Array.from(control.options).some(option => option.value === value)) {
+                this.addLogEntry(`Enlace compartido: valor desconocido para ${key}, se mantiene "${control.value}"`, 'warning');
+            } else {
+                control.value = value;
+            }
+        });
+
+        ['fixed', 'blocked'].forEach(key => {
+            if (!params.has(key)) {
+                return;
+            }
+            try {
+                const cells = parseCellList(params.get(key));
+                if (key === 'fixed') {
+                    this.fixedQueens = cells;
+                } else {
+                    this.blockedCells = cells;
+                }
+            } catch (error) {
+                this.addLogEntry(`Enlace compartido: la lista ${key} no es válida`, 'error');
+            }
+        });
+
+        if (!params.has('board')) {
+            return null;
+        }
+
+        // El tablero compartido puede ser parcial (filas vacías con -1) si venía del modo edición
+        // (mismas reglas que al importar un tablero desde texto)
+        const board = params.get('board').split(',').map(Number);
+        const N = parseInt(this.boardSizeInput.value, 10);
+        try {
+            return validatePermutation(board, { minN: N, maxN: N, allowEmptyRows: true });
+        } catch (error) {
+            if (!(error instanceof BoardFormatError)) {
+                throw error;
+            }
+            // Los valores ya son números, así que el mensaje no repite texto del enlace
+            this.addLogEntry(`Enlace compartido: el tablero no es válido para N=${N} (${error.message})`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Guarda el tablero mostrado en el enlace y lo copia al portapapeles
+     */
+    copyShareLink() {
+        this.updateUrlHash(this.getDisplayedBoard());
+        this.copyToClipboard(location.href, 'Enlace con la configuración y el tablero');
+    }
+
+    /**
+     * Copia un texto al portapapeles si el navegador lo permite
+     */
+    copyToClipboard(text, description) {
+        if (typeof navigator === 'undefined' || !navigator.clipboard) {
+            this.addLogEntry(`${description} listo para copiar`);
+            return;
+        }
+
+        navigator.clipboard.writeText(text).then(
+            () => this.addLogEntry(`${description} copiado al portapapeles`, 'success'),
+            () => this.addLogEntry(`${description} listo para copiar`)
+        );
+    }
+
+    /**
+     * Carga en el tablero una solución de la galería
+     */
+    showSolution(solution) {
+        this.renderBoard(solution.board);
+        this.addLogEntry(`Solución ${solution.index + 1} cargada en el tablero (clase de simetría ${solution.classIndex + 1})`);
+    }
+
+    /**
+     * Muestra una generación grabada sin volver a ejecutar el solver
+     */
+    showRecordedFrame({ board, conflicts, generation, fitness, avgFitness }) {
+        if (this.isEditing) {
+            return;
+        }
+
+        this.renderBoard(board);
+        this.updateInfo(conflicts, generation, fitness, conflicts === 0);
+        this.bestFitnessElement.textContent = typeof fitness === 'number' ? fitness.toFixed(2) : '-';
+        this.avgFitnessElement.textContent = typeof avgFitness === 'number' ? avgFitness.toFixed(2) : '-';
+    }
+
+    /**
+     * Colorea cada casilla según la frecuencia con la que la población coloca una reina en ella
+     */
+    applyDiversityOverlay(occupancy = null) {
+        if (this.isCanvasBoard()) {
+            this.boardRenderer.setOccupancy(occupancy);
+            return;
+        }
+        if (!occupancy || occupancy.length !== this.cells.length) {
+            return;
+        }
+
+        this.cells.forEach((cell, index) => {
+            const frequency = occupancy[index];
+            cell.classList.toggle('heat', frequency > 0);
+            cell.style.setProperty('--occupancy', (0.85 * frequency).toFixed(3));
+            if (frequency > 0 && !cell.classList.contains('queen')) {
+                cell.title = `${(frequency * 100).toFixed(1)}% de la población`;
+            }
+        });
+    }
+
+    /**
+     * Muestra las métricas de diversidad de la población
+     */
+    updateDiversityStats(diversity = null) {
+        if (!diversity) {
+            this.uniqueIndividualsElement.textContent = '-';
+            this.hammingDistanceElement.textContent = '-';
+            this.meanEntropyElement.textContent = '-';
+            this.columnEntropyElement.innerHTML = '';
+            return;
+        }
+
+        this.uniqueIndividualsElement.textContent = `${diversity.uniqueIndividuals}/${diversity.populationSize}`;
+        this.hammingDistanceElement.textContent = diversity.meanHammingDistance.toFixed(2);
+        this.meanEntropyElement.textContent = `${(diversity.meanEntropy * 100).toFixed(0)}%`;
+
+        const bars = this.columnEntropyElement.children;
+        if (bars.length !== diversity.columnEntropy.length) {
+            this.columnEntropyElement.innerHTML = '';
+            diversity.columnEntropy.forEach(() => {
+                const bar = document.createElement('div');
+                bar.className = 'entropy-bar';
+                this.columnEntropyElement.appendChild(bar);
+            });
+        }
+        diversity.columnEntropy.forEach((entropy, index) => {
+            bars[index].style.height = `${Math.max(2, entropy * 100)}%`;
+            bars[index].title = `Columna ${index}: ${(entropy * 100).toFixed(0)}%`;
+        });
+    }
+
+    /**
+     * Muestra los mejores conflictos de cada isla y el número de migraciones
+     */
+    updateIslandStats(islands = null, migrations = 0) {
+        if (!islands) {
+            this.migrationsElement.textContent = '-';
+            this.islandConflictsElement.innerHTML = '';
+            return;
+        }
+
+        this.migrationsElement.textContent = migrations;
+        const chips = this.islandConflictsElement.children;
+        if (chips.length !== islands.length) {
+            this.islandConflictsElement.innerHTML = '';
+            islands.forEach(() => {
+                const chip = document.createElement('span');
+                chip.className = 'island-chip';
+                this.islandConflictsElement.appendChild(chip);
+            });
+        }
+
+        const best = Math.min(...islands.map(island => island.bestConflicts));
+        islands.forEach((island, index) => {
+            chips[index].textContent = `I${index + 1}: ${island.bestConflicts}`;
+            chips[index].classList.toggle('best', island.bestConflicts === best);
+            chips[index].title = `Isla ${index + 1}: fitness ${island.bestFitness.toFixed(2)} (promedio ${island.avgFitness.toFixed(2)})`;
+        });
+    }
+
+    /**
+     * Crea un icono de reina
+     */
+    createQueenIcon() {
+        return `
+            <div class="queen-icon">
+                <div class="queen-crown">
+                    <div class="crown-point"></div>
+                    <div class="crown-point"></div>
+                    <div class="crown-point"></div>
+                </div>
+                <div class="queen-body"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Resalta las reinas en conflicto a partir de los contadores por diagonal
+     */
+    highlightConflicts(X, rowConflicts = null) {
+        const N = X.length;
+        // Las reglas de la variante también marcan las columnas repetidas de los tableros editados
+        const flags = rowConflicts || this.boardRules.analyze(X).rowConflicts;
+
+        for (let row = 0; row < N; row++) {
+            const col = X[row];
+            const cell = col >= 0 ? this.cells[row * N + col] : null;
+            if (cell) {
+                cell.classList.toggle('conflict', Boolean(flags[row]));
+            }
+        }
+    }
+
+    /**
+     * Actualiza la información del tablero
+     */
+    updateInfo(conflicts, generation, fitness, solutionFound = conflicts === 0) {
+        this.conflictsElement.textContent = conflicts;
+        this.iterationsElement.textContent = generation;
+
+        if (typeof fitness === 'number') {
+            this.fitnessElement.textContent = fitness.toFixed(2);
+        } else {
+            this.fitnessElement.textContent = '-';
+        }
+
+        if (solutionFound) {
+            this.statusElement.textContent = 'Solución encontrada';
+            this.statusElement.style.color = '#28a745';
+        } else if (this.solver.isExecuting()) {
+            this.statusElement.textContent = this.getSolverEntry().statusLabel;
+            this.statusElement.style.color = '#ffc107';
+        } else if (this.solver.isPaused()) {
+            this.statusElement.textContent = 'En pausa';
+            this.statusElement.style.color = '#17a2b8';
+        } else {
+            this.statusElement.textContent = 'Listo';
+            this.statusElement.style.color = '#6c757d';
+        }
+    }
+
+    /**
+     * Actualiza las estadísticas
+     */
+    updateStats(externalStats = null) {
+        const stats = externalStats || this.solver.getPerformanceStats();
+        const generations = stats.generations ?? stats.iterations ?? 0;
+        const conflicts = stats.conflicts ?? this.solver.getConflicts();
+        const endTime = performance.now();
+        const totalTime = this.startTime > 0 ? endTime - this.startTime : 0;
+
+        this.totalTimeElement.textContent = `${totalTime.toFixed(0)}ms`;
+        this.avgTimePerIterElement.textContent = generations > 0 ?
+            `${(totalTime / generations).toFixed(1)}ms` : '0ms';
+        const solutionFound = stats.solutionFound ?? conflicts === 0;
+        this.solutionFoundElement.textContent = solutionFound ? 'Sí' : 'No';
+        this.efficiencyElement.textContent = stats.efficiency ?? '-';
+
+        if (typeof stats.bestFitness === 'number') {
+            this.bestFitnessElement.textContent = stats.bestFitness.toFixed(2);
+        } else {
+            this.bestFitnessElement.textContent = '-';
+        }
+
+        if (typeof stats.avgFitness === 'number') {
+            this.avgFitnessElement.textContent = stats.avgFitness.toFixed(2);
+        } else {
+            this.avgFitnessElement.textContent = '-';
+        }
+
+        if (typeof stats.mutationRate === 'number') {
+            this.updateMutationDisplay(stats.mutationRate);
+        }
+
+        this.solutionsFoundElement.textContent = stats.fundamentalSolutions !== undefined ?
+            `${stats.solutionsFound} (${stats.fundamentalSolutions} fund.)` : stats.solutionsFound ?? '-';
+        this.nodesExploredElement.textContent = stats.nodesExplored ?? '-';
+        const restarts = stats.restarts ? ` — ${stats.restarts} ${stats.restarts === 1 ? 'reinicio' : 'reinicios'}` : '';
+        this.endReasonElement.textContent = stats.endReason ? `${END_REASONS[stats.endReason]}${restarts}` : '-';
+        this.updateDiversityStats(stats.diversity);
+        this.updateIslandStats(stats.islands, stats.migrations);
+    }
+
+    /**
+     * Actualiza el estado de los botones
+     */
+    updateButtonStates() {
+        const isExecuting = this.solver.isExecuting();
+
+        this.updateSolveButton();
+        this.stepBtn.disabled = isExecuting;
+        this.loadCheckpointBtn.disabled = isExecuting;
+        this.resetBtn.disabled = isExecuting;
+        this.solverTypeSelect.disabled = isExecuting;
+        this.backtrackingModeSelect.disabled = isExecuting;
+        this.boardSizeInput.disabled = isExecuting;
+        this.maxIterationsInput.disabled = isExecuting;
+        this.initialTemperatureInput.disabled = isExecuting;
+        this.coolingRateInput.disabled = isExecuting;
+        this.populationSizeInput.disabled = isExecuting;
+        this.mutationRateInput.disabled = isExecuting;
+        this.selectionStrategySelect.disabled = isExecuting;
+        this.crossoverOperatorSelect.disabled = isExecuting;
+        this.mutationOperatorSelect.disabled = isExecuting;
+        this.mutationScheduleSelect.disabled = isExecuting;
+        this.tournamentSizeInput.disabled = isExecuting || this.selectionStrategySelect.value !== 'tournament';
+        this.animationSpeedSelect.disabled = isExecuting;
+        this.seedInput.disabled = isExecuting;
+        this.diversityHeatmapInput.disabled = isExecuting;
+        this.targetSolutionsInput.disabled = isExecuting;
+        this.solutionTimeLimitInput.disabled = isExecuting;
+        this.timeBudgetInput.disabled = isExecuting;
+        this.targetConflictsInput.disabled = isExecuting;
+        this.stagnationLimitInput.disabled = isExecuting;
+        this.restartPolicySelect.disabled = isExecuting;
+        this.seedBoardRatioInput.disabled = isExecuting;
+        this.islandCountInput.disabled = isExecuting;
+        this.migrationIntervalInput.disabled = isExecuting;
+        this.migrationTopologySelect.disabled = isExecuting;
+        this.migrantsInput.disabled = isExecuting;
+        this.variantSelect.disabled = isExecuting;
+        this.editBtn.disabled = isExecuting;
+        this.benchmarkPanel.runButton.disabled = isExecuting;
+        this.timeline.setEnabled(!isExecuting);
+    }
+
+    /**
+     * Botón de resolver (detener o reanudar según el estado) y botón de pausa
+     */
+    updateSolveButton() {
+        const isExecuting = this.solver.isExecuting();
+
+        if (isExecuting) {
+            this.solveBtn.innerHTML = '<i class="fas fa-stop"></i> Detener';
+            this.solveBtn.classList.remove('btn-primary');
+            this.solveBtn.classList.add('btn-secondary');
+        } else {
+            this.solveBtn.innerHTML = this.solver.isPaused() ?
+                '<i class="fas fa-play"></i> Reanudar' :
+                '<i class="fas fa-play"></i> Resolver';
+            this.solveBtn.classList.remove('btn-secondary');
+            this.solveBtn.classList.add('btn-primary');
+        }
+        this.pauseBtn.disabled = !isExecuting || !this.getSolverEntry().pausable;
+    }
+
+    /**
+     * Agrega una entrada al log
+     */
+    addLogEntry(message, type = 'info') {
+        const logEntry = document.createElement('div');
+        logEntry.className = `log-entry ${type}`;
+
+        // El mensaje puede incluir texto del usuario (enlaces compartidos, tableros pegados):
+        // se añade como texto y nunca como HTML
+        const timestamp = document.createElement('span');
+        timestamp.style.color = '#666';
+        timestamp.textContent = `[${new Date().toLocaleTimeString()}]`;
+        logEntry.append(timestamp, ` ${message}`);
+
+        this.logElement.appendChild(logEntry);
+        this.logElement.scrollTop = this.logElement.scrollHeight;
+
+        const entries = this.logElement.querySelectorAll('.log-entry');
+        if (entries.length > 100) {
+            entries[0].remove();
+        }
+    }
+
+    /**
+     * Limpia el log
+     */
+    clearLog() {
+        this.logElement.innerHTML = '';
+    }
+
+    /**
+     * Inicializa la aplicación
+     */
+    init() {
+        this.addLogEntry('Aplicación inicializada correctamente');
+        this.addLogEntry(`Algoritmo: Evolutivo (Genético), selección: ${this.selectionInfoElement.textContent}`);
+        this.addLogEntry(this.solver.isUsingWorker() ?
+            'El solver se ejecuta en un Web Worker' :
+            'Web Worker no disponible: el solver se ejecuta en el hilo principal');
+        this.addLogEntry('Listo para resolver el problema de las N-Reinas');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const app = new NQueensApp();
+    app.init();
+    window.nQueensApp = app;
+});
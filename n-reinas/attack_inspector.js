@@ -0,0 +1,217 @@
+/**
+ * Inspección de ataques en el tablero: dibuja una línea entre cada par de reinas que
+ * se atacan y, al pasar el ratón por una reina, sombrea las casillas que ataca, resalta
+ * las reinas con las que choca y muestra un tooltip con su aportación a los conflictos.
+ * Las líneas y el sombreado se dibujan sobre el tablero de casillas del DOM; en el
+ * tablero en canvas (N grande) solo se muestra el tooltip.
+ */
+
+const ATTACK_KINDS = {
+    row: { label: 'fila', color: '#fdcb6e' },
+    column: { label: 'columna', color: '#e17055' },
+    diagonal: { label: 'diagonal', color: '#ff4757' },
+    antiDiagonal: { label: 'antidiagonal', color: '#ff9f43' },
+    knight: { label: 'salto de caballo', color: '#a29bfe' }
+};
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+class AttackInspector {
+    constructor(app) {
+        this.app = app;
+        this.board = [];
+        this.pairs = [];
+        this.hovered = null;
+        this.linesElement = null;
+
+        this.container = document.querySelector('.board-container');
+        this.tooltip = document.getElementById('queenTooltip');
+        this.linesToggle = document.getElementById('attackLines');
+
+        this.linesToggle.addEventListener('change', () => this.drawLines());
+
+        this.app.chessboard.addEventListener('mouseover', (event) => {
+            const cell = event.target.closest('.cell');
+            if (cell) {
+                this.hover(parseInt(cell.dataset.row, 10), parseInt(cell.dataset.col, 10));
+            }
+        });
+        this.app.chessboard.addEventListener('mouseleave', () => this.hover(null));
+
+        this.app.boardCanvas.addEventListener('mousemove', (event) => {
+            const cell = this.app.boardRenderer.panStart ?
+                null : this.app.boardRenderer.cellAt(event.clientX, event.clientY);
+            this.hover(cell ? cell.row : null, cell ? cell.col : null, event);
+        });
+        this.app.boardCanvas.addEventListener('mouseleave', () => this.hover(null));
+    }
+
+    /**
+     * Indica si el tablero se está dibujando en canvas
+     */
+    isCanvas() {
+        return this.app.isCanvasBoard();
+    }
+
+    /**
+     * Recalcula los pares en conflicto tras dibujar un tablero y restaura la inspección
+     */
+    update(board) {
+        this.board = [...board];
+        // En canvas no se dibujan líneas y calcular todos los pares sería O(N²) por generación
+        this.pairs = this.isCanvas() ? [] : this.app.boardRules.conflictPairs(this.board);
+        this.drawLines();
+
+        if (this.hovered) {
+            this.inspect(this.hovered.row, this.hovered.col, this.hovered.event);
+        }
+    }
+
+    /**
+     * Dibuja en un SVG superpuesto una línea por cada par de reinas que se atacan
+     */
+    drawLines() {
+        if (this.linesElement) {
+            this.linesElement.remove();
+            this.linesElement = null;
+        }
+
+        const N = this.board.length;
+        if (!this.linesToggle.checked || this.isCanvas() || !this.pairs.length) {
+            return;
+        }
+
+        const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+        svg.setAttribute('class', 'attack-lines');
+        svg.setAttribute('viewBox', `0 0 ${N} ${N}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+
+        this.pairs.forEach(({ from, to, kinds }) => {
+            const line = document.createElementNS(SVG_NAMESPACE, 'line');
+            line.setAttribute('x1', from.col + 0.5);
+            line.setAttribute('y1', from.row + 0.5);
+            line.setAttribute('x2', to.col + 0.5);
+            line.setAttribute('y2', to.row + 0.5);
+            line.setAttribute('stroke', ATTACK_KINDS[kinds[0]].color);
+            line.dataset.rows = `${from.row},${to.row}`;
+            svg.appendChild(line);
+        });
+
+        this.app.chessboard.appendChild(svg);
+        this.linesElement = svg;
+    }
+
+    /**
+     * Guarda la casilla bajo el cursor (null al salir del tablero) y la inspecciona
+     */
+    hover(row, col = null, event = null) {
+        this.hovered = row === null ? null : { row, col, event };
+        if (this.hovered) {
+            this.inspect(row, col, event);
+        } else {
+            this.clearInspection();
+        }
+    }
+
+    /**
+     * Sombrea los ataques de la reina de (fila, columna) y muestra su tooltip
+     */
+    inspect(row, col, event = null) {
+        this.clearInspection();
+        if (this.board[row] !== col) {
+            return;
+        }
+
+        const rules = this.app.boardRules;
+        const contribution = rules.queenContribution(this.board, row);
+
+        if (!this.isCanvas()) {
+            const N = this.board.length;
+            rules.attackedCells(row, col).forEach(cell => {
+                const element = this.app.cells[cell.row * N + cell.col];
+                if (element) {
+                    element.classList.add('attacked');
+                }
+            });
+            contribution.attackers.forEach(attacker => {
+                const element = this.app.cells[attacker.row * N + attacker.col];
+                if (element) {
+                    element.classList.add('attacker');
+                }
+            });
+            const inspected = this.app.cells[row * N + col];
+            if (inspected) {
+                inspected.classList.add('inspected');
+            }
+            if (this.linesElement) {
+                this.linesElement.querySelectorAll('line').forEach(line => {
+                    line.classList.toggle('dimmed', !line.dataset.rows.split(',').includes(String(row)));
+                });
+            }
+        }
+
+        this.showTooltip(row, col, contribution, event);
+    }
+
+    /**
+     * Conflictos del tablero mostrado con los que se compara la aportación de una reina
+     */
+    getTotalConflicts() {
+        const rules = this.app.boardRules;
+        if (this.isCanvas()) {
+            return rules.count(this.board);
+        }
+        return this.pairs.reduce((sum, pair) => sum + pair.kinds.length, 0) + rules.countViolations(this.board);
+    }
+
+    /**
+     * Tooltip con la aportación de la reina a los conflictos y las reinas a las que ataca
+     */
+    showTooltip(row, col, { attackers, violation, total }, event = null) {
+        const items = attackers.map(attacker => {
+            const kinds = attacker.kinds.map(kind =>
+                `<span class="attack-kind" style="color: ${ATTACK_KINDS[kind].color};">${ATTACK_KINDS[kind].label}</span>`);
+            return `<li>(${attacker.row}, ${attacker.col}) · ${kinds.join(', ')}</li>`;
+        });
+        const rules = this.app.boardRules;
+        if (violation) {
+            const reason = rules.isBlocked(row, col) ? 'Está en una casilla bloqueada' : 'No está en su posición fija';
+            items.push(`<li>${reason}</li>`);
+        }
+
+        this.tooltip.innerHTML = `<strong>Reina en fila ${row}, columna ${col}${rules.isFixed(row, col) ? ' (fija)' : ''}</strong>` +
+            `<div>Aporta ${total} de ${this.getTotalConflicts()} conflictos</div>` +
+            (items.length ? `<ul>${items.join('')}</ul>` : '<div>No ataca a ninguna reina</div>');
+        this.tooltip.hidden = false;
+
+        // Se coloca junto a la casilla (o al cursor en canvas) sin salirse del contenedor
+        const containerRect = this.container.getBoundingClientRect();
+        let x;
+        let y;
+        if (event) {
+            x = event.clientX - containerRect.left;
+            y = event.clientY - containerRect.top;
+        } else {
+            const cell = this.app.cells[row * this.board.length + col];
+            const cellRect = cell ? cell.getBoundingClientRect() : containerRect;
+            x = cellRect.right - containerRect.left;
+            y = cellRect.top - containerRect.top;
+        }
+        const maxLeft = Math.max(0, containerRect.width - this.tooltip.offsetWidth - 8);
+        this.tooltip.style.left = `${Math.min(x + 12, maxLeft)}px`;
+        this.tooltip.style.top = `${Math.max(0, y)}px`;
+    }
+
+    /**
+     * Quita el sombreado y oculta el tooltip
+     */
+    clearInspection() {
+        this.app.chessboard.querySelectorAll('.attacked, .attacker, .inspected').forEach(element => {
+            element.classList.remove('attacked', 'attacker', 'inspected');
+        });
+        if (this.linesElement) {
+            this.linesElement.querySelectorAll('line.dimmed').forEach(line => line.classList.remove('dimmed'));
+        }
+        this.tooltip.hidden = true;
+    }
+}
@@ -0,0 +1,389 @@
+/**
+ * Solver exacto por backtracking con máscaras de bits para el problema de las N-Reinas.
+ * Coloca una reina por fila; las columnas y diagonales ocupadas se guardan en tres
+ * máscaras, de modo que las casillas libres de cada fila se obtienen en O(1).
+ * Sigue el mismo contrato que NQueensSolver (initialize/solve/step/stop y callbacks),
+ * pero el contador de iteraciones son los nodos explorados del árbol de búsqueda.
+ */
+
+class BacktrackingSolver {
+    constructor() {
+        this.N = 8;
+        this.mode = 'first';
+        this.animationSpeed = 500;
+        this.maxN = 31;
+
+        this.board = [];
+        this.lastSolution = null;
+        this.nodesExplored = 0;
+        this.solutionsFound = 0;
+        this.lastMove = null;
+
+        this.search = null;
+        this.finished = false;
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.yieldInterval = 16;
+
+        this.callbacks = {
+            onUpdate: null,
+            onComplete: null,
+            onLog: null
+        };
+
+        this.config = {
+            N: this.N,
+            mode: this.mode,
+            animationSpeed: this.animationSpeed
+        };
+    }
+
+    /**
+     * Inicializa la búsqueda con los parámetros proporcionados
+     */
+    initialize(params = {}) {
+        const config = {
+            ...params,
+            N: params.N ?? this.N,
+            mode: params.mode ?? this.mode,
+            animationSpeed: params.animationSpeed ?? this.animationSpeed
+        };
+
+        if (config.N > this.maxN) {
+            this.log(`El backtracking con máscaras de bits admite N ≤ ${this.maxN}; se usa N=${this.maxN}`);
+            config.N = this.maxN;
+        }
+
+        this.N = config.N;
+        this.mode = config.mode === 'all' ? 'all' : 'first';
+        this.animationSpeed = config.animationSpeed;
+        this.config = { ...config, mode: this.mode };
+
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.restartSearch();
+        this.dispatchUpdate();
+
+        this.log(`Backtracking inicializado -> N=${this.N}, modo: ${this.mode === 'all' ? 'todas las soluciones' : 'primera solución'}`);
+    }
+
+    /**
+     * Prepara una búsqueda nueva desde el tablero vacío
+     */
+    restartSearch() {
+        this.board = Array(this.N).fill(-1);
+        this.lastSolution = null;
+        this.nodesExplored = 0;
+        this.solutionsFound = 0;
+        this.lastMove = null;
+        this.finished = false;
+        this.search = this.placeRow(0, 0, 0, 0);
+    }
+
+    /**
+     * Generador recursivo que coloca reinas fila a fila.
+     * Emite un evento por cada reina colocada o retirada y por cada solución completa.
+     */
+    *placeRow(row, columns, diagonals, antiDiagonals) {
+        if (row === this.N) {
+            yield { type: 'solution' };
+            return;
+        }
+
+        const full = 2 ** this.N - 1;
+        let available = ~(columns | diagonals | antiDiagonals) & full;
+
+        while (available) {
+            const bit = available & -available;
+            available ^= bit;
+            const col = 31 - Math.clz32(bit);
+
+            this.board[row] = col;
+            this.nodesExplored++;
+            yield { type: 'place', row, col };
+
+            yield* this.placeRow(
+                row + 1,
+                columns | bit,
+                ((diagonals | bit) << 1) & full,
+                (antiDiagonals | bit) >> 1
+            );
+
+            this.board[row] = -1;
+            yield { type: 'remove', row, col };
+        }
+    }
+
+    /**
+     * Avanza la búsqueda un evento. Devuelve true cuando la búsqueda debe terminar.
+     */
+    advance() {
+        const { value, done } = this.search.next();
+
+        if (done) {
+            return true;
+        }
+
+        this.lastMove = value.type === 'solution' ? null : value;
+
+        if (value.type === 'solution') {
+            this.solutionsFound++;
+            this.lastSolution = [...this.board];
+
+            if (this.mode === 'first') {
+                this.log(`Solución encontrada: [${this.lastSolution.join(', ')}] tras ${this.nodesExplored} nodos`);
+                return true;
+            }
+            if (this.solutionsFound % 100 === 0) {
+                this.log(`${this.solutionsFound} soluciones encontradas (${this.nodesExplored} nodos)`);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Ejecuta la búsqueda en modo automático
+     */
+    async solve() {
+        if (this.isRunning) {
+            return;
+        }
+        if (this.finished) {
+            this.restartSearch();
+        }
+
+        this.isRunning = true;
+        this.isStepMode = false;
+        this.log(`Búsqueda por backtracking iniciada (${this.mode === 'all' ? 'todas las soluciones' : 'primera solución'})`);
+
+        let lastYield = Date.now();
+        let done = false;
+
+        while (this.isRunning && !done) {
+            done = this.advance();
+
+            if (this.animationSpeed > 0) {
+                this.dispatchUpdate();
+                if (!done) {
+                    await this.sleep(this.animationSpeed);
+                }
+            } else if (done || Date.now() - lastYield >= this.yieldInterval) {
+                // Sin animación solo se publica el estado al ceder el control
+                this.dispatchUpdate();
+                if (!done) {
+                    await this.sleep(0);
+                    lastYield = Date.now();
+                }
+            }
+        }
+
+        if (done) {
+            this.complete();
+        }
+    }
+
+    /**
+     * Avanza un único evento (colocar o retirar una reina) en modo paso a paso
+     */
+    async step() {
+        if (this.isRunning && !this.isStepMode) {
+            return;
+        }
+        if (this.finished) {
+            this.restartSearch();
+        }
+
+        this.isStepMode = true;
+        this.isRunning = true;
+
+        const done = this.advance();
+        if (this.lastMove) {
+            const action = this.lastMove.type === 'place' ? 'Reina colocada' : 'Reina retirada';
+            this.log(`${action} en fila ${this.lastMove.row}, columna ${this.lastMove.col}`);
+        }
+        this.dispatchUpdate();
+        this.isRunning = false;
+
+        if (done) {
+            this.complete();
+        }
+    }
+
+    /**
+     * Cierra la búsqueda y notifica el resultado
+     */
+    complete() {
+        this.finished = true;
+        this.lastMove = null;
+
+        if (this.mode === 'all') {
+            this.log(`Búsqueda completa: ${this.solutionsFound} soluciones, ${this.nodesExplored} nodos explorados`);
+        } else if (!this.solutionsFound) {
+            this.log(`No existe solución para N=${this.N} (${this.nodesExplored} nodos explorados)`);
+        }
+
+        this.dispatchUpdate();
+        this.finish(this.solutionsFound > 0);
+    }
+
+    /**
+     * Detiene la ejecución en curso (la búsqueda puede reanudarse con solve)
+     */
+    stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.log('Ejecución detenida por el usuario');
+    }
+
+    /**
+     * Reinicia la búsqueda desde el tablero vacío
+     */
+    reset() {
+        this.stop();
+        this.initialize(this.config);
+        this.log('Búsqueda reiniciada');
+    }
+
+    /**
+     * Tablero a mostrar: el actual durante la búsqueda o la última solución al terminar
+     */
+    getBoard() {
+        if (this.finished && this.lastSolution) {
+            return [...this.lastSolution];
+        }
+        return [...this.board];
+    }
+
+    /**
+     * Número de reinas colocadas en el tablero mostrado
+     */
+    getPlacedQueens() {
+        return this.getBoard().filter(col => col >= 0).length;
+    }
+
+    /**
+     * Las reinas colocadas nunca se atacan entre sí
+     */
+    getConflicts() {
+        return 0;
+    }
+
+    /**
+     * Reinas colocadas (el máximo es N)
+     */
+    getCurrentFitness() {
+        return this.getPlacedQueens();
+    }
+
+    /**
+     * Nodos explorados
+     */
+    getIterations() {
+        return this.nodesExplored;
+    }
+
+    /**
+     * Determina si la búsqueda está ejecutándose
+     */
+    isExecuting() {
+        return this.isRunning;
+    }
+
+    /**
+     * El backtracking no tiene límite de iteraciones con el que comparar
+     */
+    getEfficiency() {
+        return '-';
+    }
+
+    /**
+     * El backtracking es determinista
+     */
+    getSeed() {
+        return null;
+    }
+
+    /**
+     * Estadísticas en formato amigable para la UI
+     */
+    getPerformanceStats() {
+        const board = this.getBoard();
+        return {
+            conflicts: 0,
+            generations: this.nodesExplored,
+            iterations: this.nodesExplored,
+            bestFitness: this.getPlacedQueens(),
+            efficiency: this.getEfficiency(),
+            solutionFound: this.getPlacedQueens() === this.N,
+            solutionsFound: this.solutionsFound,
+            nodesExplored: this.nodesExplored,
+            board
+        };
+    }
+
+    /**
+     * Registra callbacks externos
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Envía una actualización al exterior
+     */
+    dispatchUpdate() {
+        if (!this.callbacks.onUpdate) {
+            return;
+        }
+
+        const placed = this.getPlacedQueens();
+        this.callbacks.onUpdate({
+            board: this.getBoard(),
+            conflicts: 0,
+            generation: this.nodesExplored,
+            fitness: placed,
+            bestFitness: placed,
+            solutionFound: placed === this.N,
+            solutionsFound: this.solutionsFound,
+            nodesExplored: this.nodesExplored,
+            movedRow: this.lastMove && this.lastMove.type === 'place' ? this.lastMove.row : null,
+            movedCol: this.lastMove && this.lastMove.type === 'place' ? this.lastMove.col : null
+        });
+    }
+
+    /**
+     * Finaliza la ejecución y notifica resultado
+     */
+    finish(success) {
+        this.isRunning = false;
+        this.isStepMode = false;
+        if (this.callbacks.onComplete) {
+            this.callbacks.onComplete(success, this.nodesExplored);
+        }
+    }
+
+    /**
+     * Utilidad para dormir asincrónicamente
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Escribe mensajes en el log externo si existe
+     */
+    log(message) {
+        if (this.callbacks.onLog) {
+            this.callbacks.onLog(message);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BacktrackingSolver;
+}
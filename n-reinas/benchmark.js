@@ -0,0 +1,194 @@
+/**
+ * Banco de pruebas por lotes para los solvers de las N-Reinas.
+ * Ejecuta cada configuración varias veces (opcionalmente para varios valores de N)
+ * sin animación y resume la tasa de éxito, las generaciones hasta la solución
+ * (media, mediana y percentiles) y el tiempo de reloj. Funciona en el navegador
+ * (dentro del worker o en el hilo principal) y en Node.
+ */
+
+const solverRegistry = typeof module !== 'undefined' && module.exports ?
+    require('./solvers.js') : { createSolver };
+
+class BenchmarkRunner {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Percentil p (0-100) de una lista ordenada, con interpolación lineal
+     */
+    static percentile(sorted, p) {
+        if (!sorted.length) {
+            return null;
+        }
+
+        const position = (sorted.length - 1) * (p / 100);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Media, mediana, percentiles 90/95, mínimo y máximo de una lista de valores
+     */
+    static summarize(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        if (!sorted.length) {
+            return { mean: null, median: null, p90: null, p95: null, min: null, max: null };
+        }
+
+        return {
+            mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+            median: BenchmarkRunner.percentile(sorted, 50),
+            p90: BenchmarkRunner.percentile(sorted, 90),
+            p95: BenchmarkRunner.percentile(sorted, 95),
+            min: sorted[0],
+            max: sorted[sorted.length - 1]
+        };
+    }
+
+    /**
+     * Ejecuta el banco de pruebas.
+     * options: { configs, nValues, runs, baseSeed, onProgress }
+     * - configs: lista de configuraciones de solver (las de initialize)
+     * - nValues: lista de tamaños de tablero; si se omite se usa el N de cada configuración
+     * - baseSeed: si se indica, la ejecución i usa la semilla `${baseSeed}-${i}`
+     */
+    async run({ configs, nValues = null, runs = 10, baseSeed = null, onProgress = null }) {
+        this.isRunning = true;
+
+        const cases = [];
+        configs.forEach(config => {
+            (nValues && nValues.length ? nValues : [config.N ?? 8]).forEach(N => {
+                cases.push({ ...config, N });
+            });
+        });
+
+        const total = cases.length * runs;
+        const results = [];
+        let completed = 0;
+
+        for (const config of cases) {
+            const runResults = [];
+
+            for (let i = 0; i < runs && this.isRunning; i++) {
+                const seed = baseSeed !== null && baseSeed !== '' ? `${baseSeed}-${i}` : null;
+                runResults.push(await this.runOnce({ ...config, seed }));
+                completed++;
+
+                if (onProgress) {
+                    onProgress({ completed, total, N: config.N, solver: config.solver ?? 'genetic' });
+                }
+            }
+
+            if (!this.isRunning) {
+                break;
+            }
+            results.push(BenchmarkRunner.summarizeCase(config, runResults));
+        }
+
+        const stopped = !this.isRunning;
+        this.isRunning = false;
+        return { results, stopped, completed, total };
+    }
+
+    /**
+     * Detiene el banco de pruebas tras la ejecución en curso
+     */
+    stop() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Ejecuta un solver hasta que termina y mide el tiempo de reloj
+     */
+    async runOnce(config) {
+        const solver = solverRegistry.createSolver(config.solver);
+        let solved = false;
+
+        solver.setCallbacks({
+            onComplete: (success) => {
+                solved = success;
+            }
+        });
+
+        const start = performance.now();
+        solver.initialize({ ...config, animationSpeed: 0 });
+        await solver.solve();
+        const timeMs = performance.now() - start;
+
+        // Configuración efectiva (con los valores por defecto del solver), sin la semilla de la ejecución
+        const { seed, animationSpeed, ...effectiveConfig } = solver.config;
+
+        return {
+            effectiveConfig,
+            seed: solver.getSeed(),
+            solved,
+            generations: solver.getIterations(),
+            conflicts: solver.getConflicts(),
+            timeMs
+        };
+    }
+
+    /**
+     * Resume las ejecuciones de una configuración y un N
+     */
+    static summarizeCase(caseConfig, runs) {
+        const config = runs.length ? { ...caseConfig, ...runs[0].effectiveConfig } : caseConfig;
+        const runResults = runs.map(({ effectiveConfig, ...run }) => run);
+        const successes = runResults.filter(run => run.solved);
+        return {
+            solver: caseConfig.solver ?? 'genetic',
+            config,
+            N: config.N,
+            runs: runResults.length,
+            successes: successes.length,
+            successRate: runResults.length ? successes.length / runResults.length : 0,
+            generations: BenchmarkRunner.summarize(successes.map(run => run.generations)),
+            timeMs: {
+                ...BenchmarkRunner.summarize(runResults.map(run => run.timeMs)),
+                total: runResults.reduce((sum, run) => sum + run.timeMs, 0)
+            },
+            runResults
+        };
+    }
+
+    /**
+     * Exporta los resúmenes como CSV (una fila por configuración y N)
+     */
+    static toCSV(results) {
+        // Cada columna con su propia precisión fija: enteros tal cual, tasas con 3 decimales,
+        // generaciones y tiempos con 1
+        const fixed = (digits) => (value) => value.toFixed(digits);
+        const asIs = (value) => value;
+        const columns = [
+            ['solver', result => result.solver, asIs],
+            ['N', result => result.N, asIs],
+            ['populationSize', result => result.config.populationSize, asIs],
+            ['mutationRate', result => result.config.mutationRate, fixed(3)],
+            ['maxGenerations', result => result.config.maxGenerations, asIs],
+            ['runs', result => result.runs, asIs],
+            ['successes', result => result.successes, asIs],
+            ['successRate', result => result.successRate, fixed(3)],
+            ['meanGenerations', result => result.generations.mean, fixed(1)],
+            ['medianGenerations', result => result.generations.median, fixed(1)],
+            ['p90Generations', result => result.generations.p90, fixed(1)],
+            ['p95Generations', result => result.generations.p95, fixed(1)],
+            ['meanTimeMs', result => result.timeMs.mean, fixed(1)],
+            ['medianTimeMs', result => result.timeMs.median, fixed(1)],
+            ['totalTimeMs', result => result.timeMs.total, fixed(1)]
+        ];
+
+        const header = columns.map(([name]) => name);
+        const rows = results.map(result => columns.map(([, read, format]) => {
+            const value = read(result);
+            return value === null || value === undefined ? '' : format(value);
+        }).join(','));
+
+        return [header.join(','), ...rows].join('\n');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BenchmarkRunner;
+}
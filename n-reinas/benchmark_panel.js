@@ -0,0 +1,139 @@
+/**
+ * Panel de benchmark de la aplicación: lanza BenchmarkRunner con la configuración
+ * actual de los controles, muestra los resultados en una tabla y permite
+ * descargarlos en CSV o JSON.
+ */
+
+class BenchmarkPanel {
+    constructor(app) {
+        this.app = app;
+        this.outcome = null;
+
+        this.runsInput = document.getElementById('benchmarkRuns');
+        this.sizesInput = document.getElementById('benchmarkSizes');
+        this.runButton = document.getElementById('benchmarkBtn');
+        this.csvButton = document.getElementById('benchmarkCsvBtn');
+        this.jsonButton = document.getElementById('benchmarkJsonBtn');
+        this.progressElement = document.getElementById('benchmarkProgress');
+        this.tableBody = document.querySelector('#benchmarkTable tbody');
+
+        this.runButton.addEventListener('click', () => {
+            if (this.app.solver.isBenchmarking()) {
+                this.app.solver.stopBenchmark();
+            } else {
+                this.start();
+            }
+        });
+        this.csvButton.addEventListener('click', () => this.download('csv'));
+        this.jsonButton.addEventListener('click', () => this.download('json'));
+    }
+
+    /**
+     * Interpreta la lista de valores de N ("8, 16, 32"); vacía -> N actual
+     */
+    parseSizes() {
+        const text = this.sizesInput.value.trim();
+        if (!text) {
+            return null;
+        }
+
+        const sizes = text.split(/[\s,;]+/).map(value => parseInt(value, 10));
+        if (sizes.some(size => Number.isNaN(size) || size < 4)) {
+            throw new Error('Los valores de N deben ser enteros mayores o iguales que 4');
+        }
+        return sizes;
+    }
+
+    /**
+     * Lanza el banco de pruebas con la configuración actual
+     */
+    async start() {
+        let nValues;
+        try {
+            nValues = this.parseSizes();
+        } catch (error) {
+            this.progressElement.textContent = error.message;
+            return;
+        }
+
+        const runs = Math.max(1, Math.min(1000, parseInt(this.runsInput.value, 10) || 10));
+        this.runsInput.value = runs;
+
+        const { seed, ...config } = this.app.readSolverConfig();
+        this.setRunning(true);
+        this.progressElement.textContent = 'Preparando benchmark...';
+        this.app.addLogEntry(`Benchmark iniciado: ${runs} ejecuciones por configuración${nValues ? `, N = ${nValues.join(', ')}` : ''}`);
+
+        const outcome = await this.app.solver.runBenchmark(
+            { configs: [config], nValues, runs, baseSeed: seed },
+            ({ completed, total, N }) => {
+                this.progressElement.textContent = `Ejecución ${completed}/${total} (N=${N})`;
+            }
+        );
+
+        this.outcome = outcome;
+        this.setRunning(false);
+        this.renderResults(outcome.results);
+        this.progressElement.textContent = outcome.stopped ?
+            `Benchmark detenido (${outcome.completed}/${outcome.total} ejecuciones)` :
+            `Benchmark completado (${outcome.total} ejecuciones)`;
+        this.app.addLogEntry(this.progressElement.textContent, outcome.stopped ? 'warning' : 'success');
+    }
+
+    /**
+     * Actualiza botones y controles mientras se ejecuta el banco de pruebas
+     */
+    setRunning(isRunning) {
+        this.runButton.innerHTML = isRunning ?
+            '<i class="fas fa-stop"></i> Detener benchmark' :
+            '<i class="fas fa-stopwatch"></i> Ejecutar benchmark';
+        this.runsInput.disabled = isRunning;
+        this.sizesInput.disabled = isRunning;
+        this.csvButton.disabled = isRunning || !this.outcome;
+        this.jsonButton.disabled = isRunning || !this.outcome;
+        this.app.solveBtn.disabled = isRunning;
+        this.app.stepBtn.disabled = isRunning;
+    }
+
+    /**
+     * Pinta una fila por configuración y N
+     */
+    renderResults(results) {
+        const format = (value, digits = 1) => (value === null ? '-' : value.toFixed(digits));
+        this.tableBody.innerHTML = '';
+
+        results.forEach(result => {
+            const row = document.createElement('tr');
+            [
+                SOLVER_TYPES[result.solver].label,
+                result.N,
+                `${result.successes}/${result.runs} (${(result.successRate * 100).toFixed(0)}%)`,
+                format(result.generations.mean),
+                format(result.generations.median),
+                format(result.generations.p90),
+                format(result.generations.p95),
+                `${format(result.timeMs.mean)}ms`,
+                `${format(result.timeMs.total, 0)}ms`
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            this.tableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Descarga los resultados en CSV o JSON
+     */
+    download(format) {
+        if (!this.outcome) {
+            return;
+        }
+
+        const content = format === 'csv' ?
+            BenchmarkRunner.toCSV(this.outcome.results) :
+            JSON.stringify(this.outcome.results, null, 2);
+        downloadTextFile(`nqueens-benchmark.${format}`, content, format === 'csv' ? 'text/csv' : 'application/json');
+    }
+}
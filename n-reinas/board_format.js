@@ -0,0 +1,202 @@
+/**
+ * Formatos de texto para importar y exportar tableros de las N-Reinas.
+ * Un tablero es una permutación: board[fila] = columna de la reina de esa fila, o -1 si
+ * la fila está vacía (tableros parciales del modo edición).
+ * - permutation: columnas separadas por espacios o comas ("0 4 7 5 2 6 1 3")
+ * - json: {"N": 8, "board": [0, 4, 7, 5, 2, 6, 1, 3]} (o el array directamente)
+ * - fen: filas separadas por "/", con "Q" para la reina y números para las casillas vacías
+ *   ("Q7/4Q3/7Q/5Q2/2Q5/6Q1/1Q6/3Q4")
+ */
+
+/**
+ * Error de formato o de validación de un tablero importado
+ */
+class BoardFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BoardFormatError';
+    }
+}
+
+/**
+ * Comprueba que el tablero sea una permutación de 0..N-1 (con `allowEmptyRows`, que las
+ * filas con reina no repitan columna) y lo devuelve
+ */
+function validatePermutation(board, { minN = 1, maxN = Infinity, allowEmptyRows = false } = {}) {
+    const N = board.length;
+    if (N < minN || N > maxN) {
+        throw new BoardFormatError(`El tablero tiene ${N} filas; se admiten entre ${minN} y ${maxN}`);
+    }
+
+    const rowOfColumn = new Array(N).fill(-1);
+    board.forEach((col, row) => {
+        if (!Number.isInteger(col)) {
+            throw new BoardFormatError(`Fila ${row}: "${col}" no es una columna válida`);
+        }
+        if (col === -1 && allowEmptyRows) {
+            return;
+        }
+        if (col < 0 || col >= N) {
+            throw new BoardFormatError(`Fila ${row}: la columna ${col} está fuera del tablero (0-${N - 1})`);
+        }
+        if (rowOfColumn[col] !== -1) {
+            throw new BoardFormatError(`La columna ${col} se repite en las filas ${rowOfColumn[col]} y ${row}; el tablero no es una permutación`);
+        }
+        rowOfColumn[col] = row;
+    });
+
+    return board;
+}
+
+const BOARD_FORMATS = {
+    permutation: {
+        label: 'Permutación',
+        serialize(board) {
+            return board.join(' ');
+        },
+        parse(text) {
+            const tokens = text.replace(/[[\]]/g, ' ').split(/[\s,;]+/).filter(Boolean);
+            if (!tokens.length) {
+                throw new BoardFormatError('No hay columnas que importar');
+            }
+            return tokens.map(token => {
+                if (!/^-?\d+$/.test(token)) {
+                    throw new BoardFormatError(`"${token}" no es un número de columna`);
+                }
+                return parseInt(token, 10);
+            });
+        }
+    },
+    json: {
+        label: 'JSON',
+        serialize(board) {
+            return JSON.stringify({ N: board.length, board });
+        },
+        parse(text) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new BoardFormatError(`JSON no válido: ${error.message}`);
+            }
+
+            const board = Array.isArray(data) ? data : data && data.board;
+            if (!Array.isArray(board)) {
+                throw new BoardFormatError('El JSON debe ser un array de columnas o un objeto con la propiedad "board"');
+            }
+            if (!Array.isArray(data) && data.N !== undefined && data.N !== board.length) {
+                throw new BoardFormatError(`El JSON indica N=${data.N} pero "board" tiene ${board.length} filas`);
+            }
+            return board;
+        }
+    },
+    fen: {
+        label: 'FEN (notación de filas)',
+        serialize(board) {
+            const N = board.length;
+            return board.map(col => {
+                if (col < 0) {
+                    return String(N);
+                }
+                const before = col > 0 ? String(col) : '';
+                const after = N - col - 1 > 0 ? String(N - col - 1) : '';
+                return `${before}Q${after}`;
+            }).join('/');
+        },
+        parse(text) {
+            const ranks = text.trim().split('/');
+            const N = ranks.length;
+
+            return ranks.map((rank, row) => {
+                const tokens = rank.trim().match(/\d+|./g) || [];
+                let width = 0;
+                let queen = -1;
+
+                tokens.forEach(token => {
+                    if (/^\d+$/.test(token)) {
+                        width += parseInt(token, 10);
+                    } else if (token.toUpperCase() === 'Q') {
+                        if (queen !== -1) {
+                            throw new BoardFormatError(`Fila ${row}: hay más de una reina`);
+                        }
+                        queen = width;
+                        width++;
+                    } else {
+                        throw new BoardFormatError(`Fila ${row}: carácter no válido "${token}"`);
+                    }
+                });
+
+                if (width !== N) {
+                    throw new BoardFormatError(`Fila ${row}: describe ${width} casillas y el tablero tiene ${N} filas`);
+                }
+                // Una fila sin reina es una fila vacía, igual que al exportar
+                return queen;
+            });
+        }
+    }
+};
+
+/**
+ * Deduce el formato de un texto: JSON si es un objeto o un array entre corchetes,
+ * FEN si contiene "/" o "Q" y permutación en otro caso
+ */
+function detectBoardFormat(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || /^\[\s*(\d+\s*,\s*)*\d+\s*\]$/.test(trimmed)) {
+        return 'json';
+    }
+    if (/[/Qq]/.test(trimmed)) {
+        return 'fen';
+    }
+    return 'permutation';
+}
+
+/**
+ * Interpreta y valida un tablero; devuelve { board, format }
+ */
+function parseBoard(text, format = null, limits = {}) {
+    if (!text.trim()) {
+        throw new BoardFormatError('El texto a importar está vacío');
+    }
+
+    const formatKey = format ?? detectBoardFormat(text);
+    if (!BOARD_FORMATS[formatKey]) {
+        throw new BoardFormatError(`Formato de tablero desconocido: ${formatKey}`);
+    }
+
+    const board = validatePermutation(BOARD_FORMATS[formatKey].parse(text), limits);
+    return { board, format: formatKey };
+}
+
+/**
+ * Lista de casillas en texto ("fila:columna" separadas por comas), p. ej. reinas fijas
+ * o casillas bloqueadas: "0:3,4:1"
+ */
+function formatCellList(cells) {
+    return cells.map(({ row, col }) => `${row}:${col}`).join(',');
+}
+
+/**
+ * Interpreta una lista de casillas "fila:columna,..." y devuelve [{ row, col }]
+ */
+function parseCellList(text) {
+    return text.split(',').map(token => token.trim()).filter(Boolean).map(token => {
+        const match = /^(\d+):(\d+)$/.exec(token);
+        if (!match) {
+            throw new BoardFormatError(`"${token}" no es una casilla válida (se espera fila:columna)`);
+        }
+        return { row: parseInt(match[1], 10), col: parseInt(match[2], 10) };
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BOARD_FORMATS,
+        BoardFormatError,
+        validatePermutation,
+        detectBoardFormat,
+        parseBoard,
+        formatCellList,
+        parseCellList
+    };
+}
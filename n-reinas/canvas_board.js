@@ -0,0 +1,485 @@
+/**
+ * Tablero dibujado en canvas para N grandes, donde crear N² casillas en el DOM es
+ * inviable. Recuerda el último tablero dibujado y, en cada actualización, solo vuelve
+ * a pintar las filas cuya reina o estado de conflicto ha cambiado. Los conflictos se
+ * calculan con las reglas de la variante, sin consultar el DOM. Admite zoom
+ * con la rueda del ratón, desplazamiento arrastrando y doble clic para restablecer.
+ */
+
+const CANVAS_BOARD_COLORS = {
+    light: '#f0d9b5',
+    dark: '#b58863',
+    // Color medio para casillas de menos de unos píxeles, donde el damero no se distingue
+    blended: '#d3b18c',
+    queen: '#ee5a24',
+    conflict: '#c44569',
+    highlight: '#ffa726',
+    heat: '108, 92, 231',
+    blocked: '#2d3436',
+    fixed: '#6c5ce7',
+    fixedOutline: '#ffd700'
+};
+
+class CanvasBoardRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext ? canvas.getContext('2d') : null;
+
+        this.N = 0;
+        this.board = [];
+        this.conflicts = new Uint8Array(0);
+        this.occupancy = null;
+        this.rules = null;
+        this.moved = null;
+        this.movedTimer = null;
+
+        this.size = 0;
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+        this.panEnabled = true;
+        this.panStart = null;
+        this.frameRequested = false;
+        this.needsFullDraw = true;
+
+        this.canvas.addEventListener('wheel', (event) => this.onWheel(event), { passive: false });
+        this.canvas.addEventListener('mousedown', (event) => this.onPanStart(event));
+        this.canvas.addEventListener('mousemove', (event) => this.onPanMove(event));
+        this.canvas.addEventListener('mouseup', () => this.onPanEnd());
+        this.canvas.addEventListener('mouseleave', () => this.onPanEnd());
+        this.canvas.addEventListener('dblclick', () => this.resetView());
+    }
+
+    /**
+     * Obliga a repintar todo el tablero en el siguiente render
+     */
+    invalidate() {
+        this.needsFullDraw = true;
+    }
+
+    /**
+     * Reglas de la variante: conflictos, casillas bloqueadas y reinas fijas
+     */
+    setRules(rules) {
+        this.rules = rules;
+        this.invalidate();
+    }
+
+    /**
+     * Dibuja un tablero. Si no cambian N ni el tamaño del canvas, solo se repintan
+     * las filas cuya reina, conflicto o resaltado difiere del último dibujo.
+     */
+    render(board, rowConflicts = null, { movedRow = null, movedCol = null } = {}) {
+        if (!this.context) {
+            return;
+        }
+
+        const N = board.length;
+        const conflicts = this.computeConflicts(board, rowConflicts);
+        const moved = movedRow !== null && movedCol !== null ? { row: movedRow, col: movedCol } : null;
+        const resized = this.resize();
+
+        if (resized || N !== this.N || this.needsFullDraw || this.occupancy) {
+            if (N !== this.N) {
+                this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+            }
+            this.N = N;
+            this.board = [...board];
+            this.conflicts = conflicts;
+            this.occupancy = null;
+            this.setMoved(moved);
+            this.drawAll();
+            return;
+        }
+
+        const dirtyRows = new Set();
+        for (let row = 0; row < N; row++) {
+            if (board[row] !== this.board[row] || conflicts[row] !== this.conflicts[row]) {
+                dirtyRows.add(row);
+            }
+        }
+        if (this.moved) {
+            dirtyRows.add(this.moved.row);
+        }
+        if (moved) {
+            dirtyRows.add(moved.row);
+        }
+
+        const previousBoard = this.board;
+        this.board = [...board];
+        this.conflicts = conflicts;
+        this.setMoved(moved);
+        this.redrawRows(dirtyRows, previousBoard);
+    }
+
+    /**
+     * Superpone la frecuencia de reinas de la población en cada casilla (null la quita)
+     */
+    setOccupancy(occupancy = null) {
+        const changed = occupancy !== null || this.occupancy !== null;
+        this.occupancy = occupancy && occupancy.length === this.N * this.N ? occupancy : null;
+        if (changed) {
+            this.drawAll();
+        }
+    }
+
+    /**
+     * Marca en cada fila si su reina está en conflicto según las reglas de la variante
+     */
+    computeConflicts(board, rowConflicts = null) {
+        const rules = this.rules && this.rules.N === board.length ? this.rules : new QueensRules(board.length);
+        return Uint8Array.from(rowConflicts || rules.analyze(board).rowConflicts);
+    }
+
+    /**
+     * Guarda la casilla resaltada y la apaga pasado un segundo
+     */
+    setMoved(moved) {
+        clearTimeout(this.movedTimer);
+        this.moved = moved;
+        if (!moved) {
+            return;
+        }
+
+        this.movedTimer = setTimeout(() => {
+            const row = this.moved ? this.moved.row : null;
+            this.moved = null;
+            if (row !== null && row < this.N) {
+                this.redrawRows(new Set([row]), this.board);
+            }
+        }, 1000);
+    }
+
+    /**
+     * Ajusta el canvas a su tamaño en pantalla; devuelve true si ha cambiado
+     */
+    resize() {
+        const ratio = typeof devicePixelRatio === 'number' ? devicePixelRatio : 1;
+        const size = this.canvas.clientWidth || this.canvas.width;
+        const pixels = Math.round(size * ratio);
+
+        if (this.canvas.width === pixels && this.canvas.height === pixels && this.size === size) {
+            return false;
+        }
+
+        this.canvas.width = pixels;
+        this.canvas.height = pixels;
+        this.size = size;
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.clampView();
+        return true;
+    }
+
+    /**
+     * Lado de una casilla en píxeles CSS con el zoom actual
+     */
+    cellSize() {
+        return this.N ? (this.size / this.N) * this.view.scale : 0;
+    }
+
+    /**
+     * Rango de filas o columnas visibles para un desplazamiento dado
+     */
+    visibleRange(offset) {
+        const cell = this.cellSize();
+        return {
+            start: Math.max(0, Math.floor(-offset / cell)),
+            end: Math.min(this.N - 1, Math.floor((this.size - offset) / cell))
+        };
+    }
+
+    /**
+     * Rectángulo de una casilla ajustado a píxeles enteros
+     */
+    cellRect(row, col) {
+        const cell = this.cellSize();
+        const x = Math.floor(this.view.offsetX + col * cell);
+        const y = Math.floor(this.view.offsetY + row * cell);
+        return {
+            x,
+            y,
+            width: Math.ceil(this.view.offsetX + (col + 1) * cell) - x,
+            height: Math.ceil(this.view.offsetY + (row + 1) * cell) - y
+        };
+    }
+
+    /**
+     * Repinta el tablero completo (solo las casillas visibles)
+     */
+    drawAll() {
+        this.needsFullDraw = false;
+        this.frameRequested = false;
+        if (!this.context || !this.N) {
+            return;
+        }
+
+        const ctx = this.context;
+        const cell = this.cellSize();
+        const rows = this.visibleRange(this.view.offsetY);
+        const cols = this.visibleRange(this.view.offsetX);
+        ctx.clearRect(0, 0, this.size, this.size);
+
+        if (cell < 3) {
+            ctx.fillStyle = CANVAS_BOARD_COLORS.blended;
+            ctx.fillRect(this.view.offsetX, this.view.offsetY, this.N * cell, this.N * cell);
+        } else {
+            for (let row = rows.start; row <= rows.end; row++) {
+                for (let col = cols.start; col <= cols.end; col++) {
+                    this.drawCellBackground(row, col);
+                }
+            }
+        }
+
+        if (this.rules) {
+            this.rules.getBlockedCells()
+                .filter(({ row, col }) => row >= rows.start && row <= rows.end && col >= cols.start && col <= cols.end)
+                .forEach(({ row, col }) => this.drawBlockedCell(row, col));
+        }
+
+        if (this.occupancy) {
+            for (let row = rows.start; row <= rows.end; row++) {
+                for (let col = cols.start; col <= cols.end; col++) {
+                    this.drawCellHeat(row, col);
+                }
+            }
+        }
+
+        for (let row = rows.start; row <= rows.end; row++) {
+            this.drawQueen(row);
+        }
+    }
+
+    /**
+     * Repinta las filas indicadas: borra la casilla donde estaba su reina, dibuja la nueva
+     * y vuelve a dibujar las reinas vecinas que el borrado haya podido tocar
+     */
+    redrawRows(rows, previousBoard) {
+        if (!rows.size || !this.context) {
+            return;
+        }
+
+        // Con casillas de menos de un píxel, borrar una casilla puede tocar a sus vecinas
+        const reach = Math.ceil(1 / Math.max(this.cellSize(), 1e-6));
+        const queensToDraw = new Set(rows);
+
+        rows.forEach(row => {
+            const oldCol = previousBoard[row];
+            if (oldCol === undefined || oldCol < 0) {
+                return;
+            }
+            this.eraseCell(row, oldCol);
+            for (let other = Math.max(0, row - reach); other <= Math.min(this.N - 1, row + reach); other++) {
+                if (Math.abs(this.board[other] - oldCol) <= reach) {
+                    queensToDraw.add(other);
+                }
+            }
+        });
+
+        queensToDraw.forEach(row => this.drawQueen(row));
+    }
+
+    /**
+     * Devuelve una casilla a su color de fondo (con el mapa de diversidad si está activo)
+     */
+    eraseCell(row, col) {
+        this.drawCellBackground(row, col);
+        if (this.rules && this.rules.isBlocked(row, col)) {
+            this.drawBlockedCell(row, col);
+        }
+        if (this.occupancy) {
+            this.drawCellHeat(row, col);
+        }
+    }
+
+    /**
+     * Color de fondo de una casilla del damero
+     */
+    drawCellBackground(row, col) {
+        const { x, y, width, height } = this.cellRect(row, col);
+        if (this.cellSize() < 3) {
+            this.context.fillStyle = CANVAS_BOARD_COLORS.blended;
+        } else {
+            this.context.fillStyle = (row + col) % 2 === 0 ? CANVAS_BOARD_COLORS.light : CANVAS_BOARD_COLORS.dark;
+        }
+        this.context.fillRect(x, y, width, height);
+    }
+
+    /**
+     * Casilla bloqueada: fondo oscuro con un aspa si hay sitio para dibujarla
+     */
+    drawBlockedCell(row, col) {
+        const ctx = this.context;
+        const { x, y, width, height } = this.cellRect(row, col);
+        ctx.fillStyle = CANVAS_BOARD_COLORS.blocked;
+        ctx.fillRect(x, y, width, height);
+
+        if (this.cellSize() >= 8) {
+            const inset = Math.max(2, width * 0.25);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x + inset, y + inset);
+            ctx.lineTo(x + width - inset, y + height - inset);
+            ctx.moveTo(x + width - inset, y + inset);
+            ctx.lineTo(x + inset, y + height - inset);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Frecuencia de la casilla en la población (mapa de diversidad)
+     */
+    drawCellHeat(row, col) {
+        const frequency = this.occupancy[row * this.N + col];
+        if (!(frequency > 0)) {
+            return;
+        }
+        const { x, y, width, height } = this.cellRect(row, col);
+        this.context.fillStyle = `rgba(${CANVAS_BOARD_COLORS.heat}, ${(0.85 * frequency).toFixed(3)})`;
+        this.context.fillRect(x, y, width, height);
+    }
+
+    /**
+     * Dibuja la reina de una fila con el color de su estado (normal, fija, en conflicto o movida)
+     */
+    drawQueen(row) {
+        const col = this.board[row];
+        if (col === undefined || col < 0) {
+            return;
+        }
+
+        const ctx = this.context;
+        const cell = this.cellSize();
+        const { x, y, width, height } = this.cellRect(row, col);
+        const isMoved = this.moved && this.moved.row === row && this.moved.col === col;
+        const isFixed = this.rules && this.rules.isFixed(row, col);
+
+        ctx.fillStyle = isMoved ? CANVAS_BOARD_COLORS.highlight :
+            (this.conflicts[row] ? CANVAS_BOARD_COLORS.conflict :
+                (isFixed ? CANVAS_BOARD_COLORS.fixed : CANVAS_BOARD_COLORS.queen));
+        const inset = cell >= 8 ? 1 : 0;
+        ctx.fillRect(x + inset, y + inset, Math.max(1, width - 2 * inset), Math.max(1, height - 2 * inset));
+
+        if (isFixed && cell >= 4) {
+            ctx.strokeStyle = CANVAS_BOARD_COLORS.fixedOutline;
+            ctx.lineWidth = cell >= 14 ? 2 : 1;
+            ctx.strokeRect(x + inset + 0.5, y + inset + 0.5, Math.max(1, width - 2 * inset - 1), Math.max(1, height - 2 * inset - 1));
+        }
+
+        if (cell >= 14) {
+            ctx.fillStyle = 'white';
+            ctx.font = `${Math.floor(cell * 0.7)}px serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('♛', x + width / 2, y + height / 2);
+        }
+    }
+
+    /**
+     * Casilla bajo un punto de la pantalla, o null si queda fuera del tablero
+     */
+    cellAt(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const cell = this.cellSize();
+        if (!cell) {
+            return null;
+        }
+
+        const col = Math.floor((clientX - rect.left - this.view.offsetX) / cell);
+        const row = Math.floor((clientY - rect.top - this.view.offsetY) / cell);
+        if (row < 0 || row >= this.N || col < 0 || col >= this.N) {
+            return null;
+        }
+        return { row, col };
+    }
+
+    /**
+     * Mantiene el tablero cubriendo todo el canvas
+     */
+    clampView() {
+        const min = this.size - this.size * this.view.scale;
+        this.view.offsetX = Math.max(min, Math.min(0, this.view.offsetX));
+        this.view.offsetY = Math.max(min, Math.min(0, this.view.offsetY));
+    }
+
+    /**
+     * Repinta como mucho una vez por frame (zoom y desplazamiento)
+     */
+    scheduleDraw() {
+        if (this.frameRequested) {
+            return;
+        }
+
+        this.frameRequested = true;
+        const schedule = typeof requestAnimationFrame === 'function' ?
+            requestAnimationFrame : (callback) => setTimeout(callback, 16);
+        schedule(() => this.drawAll());
+    }
+
+    /**
+     * Zoom con la rueda manteniendo fija la casilla bajo el cursor
+     */
+    onWheel(event) {
+        if (!this.N) {
+            return;
+        }
+        event.preventDefault();
+
+        const rect = this.canvas.getBoundingClientRect();
+        const pointX = event.clientX - rect.left;
+        const pointY = event.clientY - rect.top;
+        // Como mucho unas 4 casillas a lo ancho
+        const maxScale = Math.max(1, this.N / 4);
+        const scale = Math.max(1, Math.min(maxScale, this.view.scale * Math.exp(-event.deltaY * 0.0015)));
+        const factor = scale / this.view.scale;
+
+        this.view.offsetX = pointX - (pointX - this.view.offsetX) * factor;
+        this.view.offsetY = pointY - (pointY - this.view.offsetY) * factor;
+        this.view.scale = scale;
+        this.clampView();
+        this.scheduleDraw();
+    }
+
+    /**
+     * Empieza a desplazar el tablero con el botón principal
+     */
+    onPanStart(event) {
+        if (!this.panEnabled || event.button !== 0 || this.view.scale === 1) {
+            return;
+        }
+        this.panStart = {
+            x: event.clientX,
+            y: event.clientY,
+            offsetX: this.view.offsetX,
+            offsetY: this.view.offsetY
+        };
+        this.canvas.classList.add('panning');
+    }
+
+    /**
+     * Desplaza el tablero mientras se arrastra
+     */
+    onPanMove(event) {
+        if (!this.panStart) {
+            return;
+        }
+        this.view.offsetX = this.panStart.offsetX + event.clientX - this.panStart.x;
+        this.view.offsetY = this.panStart.offsetY + event.clientY - this.panStart.y;
+        this.clampView();
+        this.scheduleDraw();
+    }
+
+    /**
+     * Termina el desplazamiento
+     */
+    onPanEnd() {
+        this.panStart = null;
+        this.canvas.classList.remove('panning');
+    }
+
+    /**
+     * Vuelve a mostrar el tablero completo
+     */
+    resetView() {
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+        this.scheduleDraw();
+    }
+}
@@ -0,0 +1,548 @@
+#!/usr/bin/env node
+/**
+ * Ejecutor de línea de comandos para los solvers de las N-Reinas.
+ * Ejecuta el solver sin retardo de animación e imprime la solución, las generaciones
+ * usadas y el tiempo transcurrido. Sale con código 1 si no se encuentra solución
+ * y con código 2 si los argumentos no son válidos.
+ *
+ *   node cli.js solve --n 64 --population 200 --mutation 0.1 --max-generations 5000
+ *   node cli.js benchmark --n 8,16,32 --runs 20 --csv
+ *   node cli.js tune --n 16 --populations 50,100,200 --mutations 0.05:0.2:0.05 --runs 5
+ *   node cli.js solve --n 500 --time-budget 600 --save-checkpoint run.json
+ *   node cli.js solve --resume run.json --time-budget 1200 --save-checkpoint run.json
+ */
+
+const fs = require('fs');
+
+const { SOLVER_TYPES, createSolver } = require('./solvers.js');
+const BenchmarkRunner = require('./benchmark.js');
+const { QUEEN_VARIANTS, END_REASONS, RESTART_POLICIES, CHECKPOINT_OVERRIDES, CheckpointError } = require('./nqueens_correct.js');
+const { parseCellList, BoardFormatError } = require('./board_format.js');
+const {
+    SWEEP_STRATEGIES,
+    SweepError,
+    parseSweepValues,
+    buildSweepConfigs,
+    rankSweepResults
+} = require('./parameter_sweep.js');
+
+const USAGE = `Uso: node cli.js solve [opciones]
+     node cli.js benchmark [opciones] [--runs <número>] [--csv]
+     node cli.js tune [opciones] --populations <valores> --mutations <valores> [--runs <número>]
+
+Opciones:
+  --n <número>                 Tamaño del tablero (por defecto 8); en benchmark admite una lista: 8,16,32
+  --solver <tipo>              ${Object.keys(SOLVER_TYPES).join(' | ')} (por defecto genetic)
+  --population <número>        Tamaño de población (por defecto 100)
+  --mutation <tasa>            Tasa de mutación entre 0 y 1 (por defecto 0.1)
+  --max-generations <número>   Máximo de generaciones/iteraciones (por defecto 1000)
+  --seed <semilla>             Semilla del generador aleatorio
+  --selection <estrategia>     tournament | roulette | rank | sus
+  --tournament-size <número>   Tamaño del torneo
+  --crossover <operador>       ox | pmx | cx | pbx | erx
+  --mutation-operator <op>     swap | inversion | scramble | insertion | conflict
+  --mutation-schedule <plan>   fixed | stagnation | diversity | oneFifth
+  --solutions <número>         Soluciones distintas a recoger antes de parar (solo genetic, por defecto 1)
+  --solutions-time <segundos>  Límite de tiempo para recoger soluciones (solo genetic)
+  --time-budget <segundos>     Tiempo máximo de la ejecución (solo genetic)
+  --target-conflicts <número>  Para al llegar a este número de conflictos o menos (solo genetic)
+  --stagnation-limit <gen>     Generaciones sin mejora antes de terminar o reiniciar (solo genetic)
+  --restart <política>         ${Object.keys(RESTART_POLICIES).join(' | ')} al estancarse (solo genetic, por defecto none)
+  --save-checkpoint <fichero>  Guarda un punto de control JSON al terminar o al pulsar Ctrl+C (solo genetic)
+  --resume <fichero>           Continúa desde un punto de control; solo se aplican las opciones de parada
+  --islands <número>           Número de islas (solo islands, por defecto 4)
+  --migration-interval <gen>   Generaciones entre migraciones (solo islands, por defecto 20)
+  --topology <topología>       ring | full (solo islands)
+  --migrants <número>          Individuos que emigra cada isla (solo islands, por defecto 2)
+  --variant <variante>         ${Object.keys(QUEEN_VARIANTS).join(' | ')} (solo genetic e islands)
+  --fixed <casillas>           Reinas fijas como fila:columna, p. ej. 0:3,4:1 (variante completion)
+  --blocked <casillas>         Casillas bloqueadas como fila:columna (variante completion)
+  --mode <modo>                first | all (solo backtracking)
+  --initial-temperature <T>    Temperatura inicial (solo annealing)
+  --cooling-rate <factor>      Factor de enfriamiento (solo annealing)
+  --runs <número>              Ejecuciones por configuración (benchmark: 10, tune: 5 por defecto)
+  --populations <valores>      Poblaciones a probar: 50,100,200 o inicio:fin:paso (solo tune)
+  --mutations <valores>        Tasas de mutación a probar: 0.05,0.1 o 0.05:0.3:0.05 (solo tune)
+  --strategy <búsqueda>        ${Object.keys(SWEEP_STRATEGIES).join(' | ')} (solo tune, por defecto grid)
+  --samples <número>           Configuraciones a probar con --strategy random (por defecto 10)
+  --json                       Imprime el resultado en JSON
+  --csv                        Imprime el resultado en CSV (solo benchmark)
+  --verbose                    Muestra el log del solver
+  --help                       Muestra esta ayuda`;
+
+/**
+ * Opciones numéricas y el nombre del parámetro del solver al que corresponden
+ */
+const NUMERIC_OPTIONS = {
+    n: 'N',
+    population: 'populationSize',
+    mutation: 'mutationRate',
+    'max-generations': 'maxGenerations',
+    'tournament-size': 'tournamentSize',
+    'initial-temperature': 'initialTemperature',
+    'cooling-rate': 'coolingRate',
+    solutions: 'targetSolutions',
+    'solutions-time': 'solutionTimeLimit',
+    'time-budget': 'timeBudget',
+    'target-conflicts': 'targetConflicts',
+    'stagnation-limit': 'stagnationLimit',
+    islands: 'islands',
+    'migration-interval': 'migrationInterval',
+    migrants: 'migrants',
+    runs: 'runs',
+    samples: 'samples'
+};
+
+const STRING_OPTIONS = {
+    solver: 'solver',
+    seed: 'seed',
+    selection: 'selection',
+    crossover: 'crossover',
+    'mutation-operator': 'mutationOperator',
+    'mutation-schedule': 'mutationSchedule',
+    topology: 'migrationTopology',
+    variant: 'variant',
+    restart: 'restartPolicy',
+    populations: 'populations',
+    mutations: 'mutations',
+    strategy: 'strategy',
+    mode: 'mode',
+    'save-checkpoint': 'saveCheckpoint',
+    resume: 'resume'
+};
+
+/**
+ * Opciones con listas de casillas (fila:columna)
+ */
+const CELL_LIST_OPTIONS = {
+    fixed: 'fixedQueens',
+    blocked: 'blockedCells'
+};
+
+const FLAG_OPTIONS = ['json', 'csv', 'verbose', 'help'];
+
+/**
+ * Error de uso de la línea de comandos (código de salida 2)
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Convierte los argumentos en { command, config, flags }
+ */
+function parseArgs(argv) {
+    const args = [...argv];
+    const result = { command: null, config: {}, flags: {} };
+
+    while (args.length) {
+        const arg = args.shift();
+
+        if (!arg.startsWith('--')) {
+            if (result.command) {
+                throw new UsageError(`Argumento inesperado: ${arg}`);
+            }
+            result.command = arg;
+            continue;
+        }
+
+        let [name, value] = arg.slice(2).split(/=(.*)/s);
+
+        if (FLAG_OPTIONS.includes(name)) {
+            result.flags[name] = true;
+            continue;
+        }
+
+        if (!(name in NUMERIC_OPTIONS) && !(name in STRING_OPTIONS) && !(name in CELL_LIST_OPTIONS)) {
+            throw new UsageError(`Opción desconocida: --${name}`);
+        }
+
+        if (value === undefined) {
+            if (!args.length || args[0].startsWith('--')) {
+                throw new UsageError(`Falta el valor de --${name}`);
+            }
+            value = args.shift();
+        }
+
+        if (name === 'n' && value.includes(',')) {
+            const values = value.split(',').map(Number);
+            if (values.some(number => !Number.isInteger(number) || number < 1)) {
+                throw new UsageError(`--n debe ser una lista de enteros positivos (recibido "${value}")`);
+            }
+            result.config.nValues = values;
+        } else if (name in NUMERIC_OPTIONS) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                throw new UsageError(`--${name} debe ser un número (recibido "${value}")`);
+            }
+            result.config[NUMERIC_OPTIONS[name]] = number;
+        } else if (name in CELL_LIST_OPTIONS) {
+            try {
+                result.config[CELL_LIST_OPTIONS[name]] = parseCellList(value);
+            } catch (error) {
+                if (error instanceof BoardFormatError) {
+                    throw new UsageError(`--${name}: ${error.message}`);
+                }
+                throw error;
+            }
+        } else {
+            result.config[STRING_OPTIONS[name]] = value;
+        }
+    }
+
+    if (result.config.solver && !SOLVER_TYPES[result.config.solver]) {
+        throw new UsageError(`Solver desconocido: ${result.config.solver}`);
+    }
+    if (result.config.variant && !QUEEN_VARIANTS[result.config.variant]) {
+        throw new UsageError(`Variante desconocida: ${result.config.variant}`);
+    }
+    if (result.config.restartPolicy && !RESTART_POLICIES[result.config.restartPolicy]) {
+        throw new UsageError(`Política de reinicio desconocida: ${result.config.restartPolicy}`);
+    }
+    if ((result.config.fixedQueens || result.config.blockedCells) && result.config.variant !== 'completion') {
+        throw new UsageError('--fixed y --blocked requieren --variant completion');
+    }
+    if (result.config.N !== undefined && (!Number.isInteger(result.config.N) || result.config.N < 1)) {
+        throw new UsageError('--n debe ser un entero positivo');
+    }
+    const { populationSize, maxGenerations, mutationRate } = result.config;
+    if (populationSize !== undefined && (!Number.isInteger(populationSize) || populationSize < 2)) {
+        throw new UsageError('--population debe ser un entero mayor o igual que 2');
+    }
+    if (maxGenerations !== undefined && (!Number.isInteger(maxGenerations) || maxGenerations < 0)) {
+        throw new UsageError('--max-generations debe ser un entero no negativo');
+    }
+    if (mutationRate !== undefined && (mutationRate < 0 || mutationRate > 1)) {
+        throw new UsageError('--mutation debe estar entre 0 y 1');
+    }
+
+    return result;
+}
+
+/**
+ * Lee un punto de control JSON; los errores se convierten en CheckpointError
+ */
+function readCheckpoint(path) {
+    let text;
+    try {
+        text = fs.readFileSync(path, 'utf8');
+    } catch (error) {
+        throw new CheckpointError(`No se puede leer ${path}: ${error.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new CheckpointError(`${path} no es JSON válido: ${error.message}`);
+    }
+}
+
+/**
+ * Ejecuta un solver sin animación y devuelve el resultado de la ejecución.
+ * Con `checkpoint` continúa ese punto de control (solo aplica de `config` los criterios
+ * de parada); con `saveCheckpoint` guarda uno en ese fichero al terminar o con Ctrl+C.
+ */
+async function runSolver(config, onLog = null, { checkpoint = null, saveCheckpoint = null } = {}) {
+    const solverType = checkpoint ? 'genetic' : config.solver ?? 'genetic';
+    const solver = createSolver(solverType);
+    const solutions = [];
+    let success = false;
+
+    solver.setCallbacks({
+        onComplete: (solved) => {
+            success = solved;
+        },
+        onLog,
+        onSolution: (solution) => {
+            solutions.push(solution);
+        }
+    });
+
+    // Con un punto de control que guardar, Ctrl+C pausa la ejecución en lugar de abortarla
+    const pause = () => solver.pause();
+    if (saveCheckpoint) {
+        process.once('SIGINT', pause);
+    }
+
+    const start = process.hrtime.bigint();
+    if (checkpoint) {
+        const overrides = { animationSpeed: 0 };
+        CHECKPOINT_OVERRIDES.forEach(key => {
+            if (config[key] !== undefined) {
+                overrides[key] = config[key];
+            }
+        });
+        solver.loadCheckpoint(checkpoint, overrides);
+    } else {
+        solver.initialize({ ...config, animationSpeed: 0 });
+    }
+    await solver.solve();
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    process.removeListener('SIGINT', pause);
+
+    if (saveCheckpoint) {
+        fs.writeFileSync(saveCheckpoint, JSON.stringify(solver.getCheckpoint()));
+    }
+
+    const stats = solver.getPerformanceStats();
+    return {
+        solver: solverType,
+        N: solver.N,
+        solved: success,
+        board: solver.getBoard(),
+        conflicts: stats.conflicts,
+        generations: solver.getIterations(),
+        elapsedMs,
+        seed: solver.getSeed(),
+        solutionsFound: stats.solutionsFound,
+        fundamentalSolutions: stats.fundamentalSolutions,
+        solutions: solutions.length ? solutions : undefined,
+        islands: stats.islands,
+        migrations: stats.migrations,
+        endReason: stats.endReason,
+        restarts: stats.restarts,
+        paused: stats.paused,
+        checkpoint: saveCheckpoint ?? undefined
+    };
+}
+
+/**
+ * Formatea el resultado para la salida de texto
+ */
+function formatResult(result) {
+    const unit = SOLVER_TYPES[result.solver].iterationLabel;
+    const lines = [
+        result.solved ?
+            `Solución encontrada (N=${result.N}) en ${result.generations} ${unit}` :
+            `No se encontró solución (N=${result.N}) en ${result.generations} ${unit}; mejores conflictos: ${result.conflicts}`,
+        `Tiempo: ${result.elapsedMs.toFixed(1)} ms${result.seed !== null ? `, semilla: ${result.seed}` : ''}`
+    ];
+
+    if (result.endReason && result.endReason !== 'solved') {
+        lines.push(`Motivo de fin: ${END_REASONS[result.endReason]}${result.restarts ? ` (${result.restarts} reinicios)` : ''}`);
+    }
+
+    if (result.paused) {
+        lines.push(`Ejecución en pausa en la generación ${result.generations}`);
+    }
+    if (result.checkpoint) {
+        lines.push(`Punto de control guardado en ${result.checkpoint}`);
+    }
+
+    if (result.islands) {
+        lines.push(`Mejores conflictos por isla: ${result.islands.map(island => island.bestConflicts).join(', ')} (${result.migrations} migraciones)`);
+    }
+
+    if (result.fundamentalSolutions !== undefined) {
+        lines.push(`Soluciones encontradas: ${result.solutionsFound} (${result.fundamentalSolutions} fundamentales)`);
+        (result.solutions || []).forEach(solution => {
+            lines.push(`  ${solution.isFundamental ? '*' : ' '} clase ${solution.classIndex + 1}: [${solution.board.join(', ')}]`);
+        });
+        return lines.join('\n');
+    }
+
+    if (result.solutionsFound !== undefined) {
+        lines.push(`Soluciones encontradas: ${result.solutionsFound}`);
+    }
+
+    lines.push(`[${result.board.join(', ')}]`);
+    return lines.join('\n');
+}
+
+/**
+ * Formatea los resúmenes del banco de pruebas como tabla de texto
+ */
+function formatBenchmark(results) {
+    const format = (value, digits = 1) => (value === null ? '-' : value.toFixed(digits));
+    const lines = ['solver        N      éxito   media   mediana   p90     p95     tiempo medio'];
+
+    results.forEach(result => {
+        const generations = result.generations;
+        lines.push([
+            result.solver.padEnd(13),
+            String(result.N).padEnd(6),
+            `${(result.successRate * 100).toFixed(0)}%`.padEnd(7),
+            format(generations.mean).padEnd(7),
+            format(generations.median).padEnd(9),
+            format(generations.p90).padEnd(7),
+            format(generations.p95).padEnd(7),
+            `${format(result.timeMs.mean)} ms`
+        ].join(' '));
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Ejecuta el banco de pruebas con la configuración de la línea de comandos
+ */
+async function runBenchmarkCommand(parsed) {
+    const { runs = 10, nValues = null, seed = null, ...config } = parsed.config;
+    if (!Number.isInteger(runs) || runs < 1) {
+        console.error('--runs debe ser un entero positivo');
+        return 2;
+    }
+
+    const runner = new BenchmarkRunner();
+    const onProgress = parsed.flags.verbose ?
+        ({ completed, total, N }) => console.error(`[${completed}/${total}] N=${N}`) : null;
+    const { results } = await runner.run({ configs: [config], nValues, runs, baseSeed: seed, onProgress });
+
+    if (parsed.flags.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else if (parsed.flags.csv) {
+        console.log(BenchmarkRunner.toCSV(results));
+    } else {
+        console.log(formatBenchmark(results));
+    }
+
+    return results.every(result => result.successes > 0) ? 0 : 1;
+}
+
+/**
+ * Formatea la clasificación del ajuste de parámetros como tabla de texto
+ */
+function formatSweep(ranked) {
+    const format = (value, digits = 1) => (value === null ? '-' : value.toFixed(digits));
+    const lines = ['puesto  población  mutación  éxito   mediana   tiempo medio'];
+
+    ranked.forEach(result => {
+        lines.push([
+            `#${result.rank}`.padEnd(7),
+            String(result.config.populationSize).padEnd(10),
+            String(result.config.mutationRate).padEnd(9),
+            `${(result.successRate * 100).toFixed(0)}%`.padEnd(7),
+            format(result.generations.median).padEnd(9),
+            `${format(result.timeMs.mean)} ms`
+        ].join(' '));
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Ejecuta el ajuste de parámetros: población × mutación con las mismas semillas en cada punto
+ */
+async function runTuneCommand(parsed) {
+    const {
+        runs = 5, populations, mutations, strategy = 'grid', samples = 10, seed = null, ...config
+    } = parsed.config;
+    if (!Number.isInteger(runs) || runs < 1) {
+        console.error('--runs debe ser un entero positivo');
+        return 2;
+    }
+    if (config.nValues) {
+        console.error('El comando tune admite un único valor de --n');
+        return 2;
+    }
+
+    let configs;
+    const baseSeed = seed ?? String(Date.now());
+    try {
+        const populationSizes = parseSweepValues(populations ?? '50,100,200', {
+            name: '--populations', integer: true, min: 2
+        });
+        const mutationRates = parseSweepValues(mutations ?? '0.05,0.1,0.2', {
+            name: '--mutations', min: 0, max: 1
+        });
+        configs = buildSweepConfigs({ solver: 'genetic', ...config }, {
+            populationSizes, mutationRates, strategy, samples, seed: baseSeed
+        });
+    } catch (error) {
+        if (error instanceof SweepError) {
+            console.error(error.message);
+            return 2;
+        }
+        throw error;
+    }
+
+    const runner = new BenchmarkRunner();
+    const onProgress = parsed.flags.verbose ?
+        ({ completed, total }) => console.error(`[${completed}/${total}]`) : null;
+    const { results } = await runner.run({ configs, runs, baseSeed, onProgress });
+    const ranked = rankSweepResults(results);
+
+    if (parsed.flags.json) {
+        console.log(JSON.stringify({ seed: baseSeed, results: ranked }, null, 2));
+    } else if (parsed.flags.csv) {
+        console.log(BenchmarkRunner.toCSV(ranked));
+    } else {
+        console.log(`Semilla: ${baseSeed}`);
+        console.log(formatSweep(ranked));
+    }
+
+    return ranked.length && ranked[0].successes > 0 ? 0 : 1;
+}
+
+/**
+ * Punto de entrada: devuelve el código de salida
+ */
+async function main(argv = process.argv.slice(2)) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(error.message);
+            console.error(USAGE);
+            return 2;
+        }
+        throw error;
+    }
+
+    if (parsed.flags.help || !parsed.command) {
+        console.log(USAGE);
+        return parsed.flags.help ? 0 : 2;
+    }
+
+    if (parsed.command === 'benchmark') {
+        return runBenchmarkCommand(parsed);
+    }
+
+    if (parsed.command === 'tune') {
+        return runTuneCommand(parsed);
+    }
+
+    if (parsed.command !== 'solve') {
+        console.error(`Comando desconocido: ${parsed.command}`);
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (parsed.config.nValues || parsed.config.runs !== undefined) {
+        console.error('Las listas de N y --runs solo se admiten en los comandos benchmark y tune');
+        return 2;
+    }
+
+    const { resume = null, saveCheckpoint = null, ...config } = parsed.config;
+    if ((resume || saveCheckpoint) && (config.solver ?? 'genetic') !== 'genetic') {
+        console.error('Los puntos de control solo están disponibles con --solver genetic');
+        return 2;
+    }
+
+    const onLog = parsed.flags.verbose ? (message) => console.error(message) : null;
+    let result;
+    try {
+        const checkpoint = resume ? readCheckpoint(resume) : null;
+        result = await runSolver(config, onLog, { checkpoint, saveCheckpoint });
+    } catch (error) {
+        if (!(error instanceof CheckpointError)) {
+            throw error;
+        }
+        console.error(`Punto de control no válido: ${error.message}`);
+        return 2;
+    }
+
+    console.log(parsed.flags.json ? JSON.stringify(result, null, 2) : formatResult(result));
+    return result.solved ? 0 : 1;
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { parseArgs, runSolver, main, UsageError };
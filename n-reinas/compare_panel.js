@@ -0,0 +1,251 @@
+/**
+ * Modo comparación: ejecuta a la vez dos NQueensSolver con configuraciones distintas
+ * (población, mutación, selección y cruce) sobre el N y el resto de parámetros actuales,
+ * opcionalmente con la misma semilla. Ambos avanzan generación a generación con run(),
+ * cada uno con su tablero y sus estadísticas, y al terminar se resume cuál llegó antes
+ * a cero conflictos y con cuántas generaciones de diferencia.
+ */
+
+class ComparePanel {
+    constructor(app) {
+        this.app = app;
+        this.entries = [];
+        this.isRunning = false;
+        // Con animación instantánea se repinta como mucho cada frameInterval ms
+        this.frameInterval = 50;
+
+        this.columns = ['A', 'B'].map(key => ({
+            key,
+            element: document.getElementById(`compare${key}`),
+            populationInput: document.getElementById(`compare${key}Population`),
+            mutationInput: document.getElementById(`compare${key}Mutation`),
+            selectionSelect: document.getElementById(`compare${key}Selection`),
+            crossoverSelect: document.getElementById(`compare${key}Crossover`),
+            renderer: new CanvasBoardRenderer(document.getElementById(`compare${key}Board`)),
+            stats: this.createStats(document.getElementById(`compare${key}Stats`))
+        }));
+        this.sharedSeedInput = document.getElementById('compareSharedSeed');
+        this.runButton = document.getElementById('compareBtn');
+        this.summaryElement = document.getElementById('compareSummary');
+
+        this.runButton.addEventListener('click', () => {
+            if (this.isRunning) {
+                this.isRunning = false;
+            } else {
+                this.start();
+            }
+        });
+    }
+
+    /**
+     * Crea las filas de estadísticas de una columna y devuelve sus elementos de valor
+     */
+    createStats(container) {
+        const labels = {
+            status: 'Estado',
+            generation: 'Generación',
+            conflicts: 'Conflictos',
+            fitness: 'Fitness',
+            mutationRate: 'Mutación actual',
+            time: 'Tiempo de cálculo'
+        };
+
+        const values = {};
+        Object.entries(labels).forEach(([key, label]) => {
+            const row = document.createElement('div');
+            const name = document.createElement('span');
+            const value = document.createElement('strong');
+            name.textContent = label;
+            value.textContent = '-';
+            row.append(name, value);
+            container.appendChild(row);
+            values[key] = value;
+        });
+        return values;
+    }
+
+    /**
+     * Parámetros propios de una columna, normalizados en sus controles
+     */
+    readColumnConfig(column) {
+        const populationSize = Math.max(10, Math.min(500, parseInt(column.populationInput.value, 10) || 100));
+        const mutationRate = Math.max(0, Math.min(1, parseFloat(column.mutationInput.value) || 0));
+        column.populationInput.value = populationSize;
+        column.mutationInput.value = mutationRate;
+
+        return {
+            populationSize,
+            mutationRate,
+            selection: column.selectionSelect.value,
+            crossover: column.crossoverSelect.value
+        };
+    }
+
+    /**
+     * Resumen legible de la configuración de una columna
+     */
+    describe(entry) {
+        const { populationSize, mutationRate, selection, crossover } = entry.solver.config;
+        return `${entry.column.key} (población ${populationSize}, mutación ${mutationRate}, ` +
+            `${SELECTION_STRATEGIES[selection].label.toLowerCase()}, ${crossover.toUpperCase()})`;
+    }
+
+    /**
+     * Lanza la comparación con la configuración actual como base
+     */
+    async start() {
+        if (this.app.solver.isExecuting() || this.app.solver.isBenchmarking()) {
+            this.summaryElement.textContent = 'Espera a que termine la ejecución o el benchmark en curso';
+            return;
+        }
+
+        const { seed, ...base } = this.app.readSolverConfig();
+        const sharedSeed = this.sharedSeedInput.checked ? seed ?? SeededRandom.randomSeed() : null;
+
+        this.entries = this.columns.map(column => {
+            const solver = new NQueensSolver();
+            solver.initialize({
+                ...base,
+                ...this.readColumnConfig(column),
+                animationSpeed: 0,
+                seed: sharedSeed ?? SeededRandom.randomSeed()
+            });
+            column.renderer.setRules(solver.rules);
+            column.element.classList.remove('winner');
+            return {
+                column,
+                solver,
+                iterator: solver.run(),
+                done: false,
+                solvedAt: null,
+                elapsedMs: 0
+            };
+        });
+
+        this.setRunning(true);
+        this.summaryElement.textContent = 'Comparando...';
+        this.app.addLogEntry(`Comparación iniciada con N=${base.N}: ` +
+            `${this.entries.map(entry => `${this.describe(entry)}, semilla ${entry.solver.getSeed()}`).join(' frente a ')}`);
+        this.render();
+
+        const delay = base.animationSpeed;
+        let lastFrame = performance.now();
+        while (this.isRunning && this.entries.some(entry => !entry.done)) {
+            // Una generación de cada configuración por vuelta para que avancen al mismo ritmo
+            for (const entry of this.entries.filter(candidate => !candidate.done)) {
+                const start = performance.now();
+                const { done, value } = await entry.iterator.next();
+                entry.elapsedMs += performance.now() - start;
+
+                if (done) {
+                    entry.done = true;
+                } else if (value.conflicts === 0 && entry.solvedAt === null) {
+                    entry.solvedAt = value.generation;
+                }
+            }
+
+            if (delay > 0 || performance.now() - lastFrame >= this.frameInterval) {
+                this.render();
+                await new Promise(resolve => setTimeout(resolve, delay));
+                lastFrame = performance.now();
+            }
+        }
+
+        const stopped = this.entries.some(entry => !entry.done);
+        // Salir de los iteradores detiene los solvers que sigan en marcha
+        await Promise.all(this.entries.map(entry => entry.iterator.return()));
+        this.setRunning(false);
+        this.render();
+        this.finish(stopped);
+    }
+
+    /**
+     * Actualiza botones y controles mientras se ejecuta la comparación
+     */
+    setRunning(isRunning) {
+        this.isRunning = isRunning;
+        this.runButton.innerHTML = isRunning ?
+            '<i class="fas fa-stop"></i> Detener comparación' :
+            '<i class="fas fa-columns"></i> Comparar';
+        this.columns.forEach(column => {
+            [column.populationInput, column.mutationInput, column.selectionSelect, column.crossoverSelect]
+                .forEach(control => {
+                    control.disabled = isRunning;
+                });
+        });
+        this.sharedSeedInput.disabled = isRunning;
+        this.app.solveBtn.disabled = isRunning;
+        this.app.stepBtn.disabled = isRunning;
+        this.app.benchmarkPanel.runButton.disabled = isRunning;
+        this.app.sweepPanel.runButton.disabled = isRunning;
+    }
+
+    /**
+     * Dibuja el tablero y las estadísticas de cada configuración
+     */
+    render() {
+        this.entries.forEach(entry => {
+            const { solver, column } = entry;
+            const stats = column.stats;
+
+            column.renderer.render(solver.getBoard());
+            stats.status.textContent = this.describeStatus(entry);
+            stats.generation.textContent = solver.getIterations();
+            stats.conflicts.textContent = solver.getConflicts();
+            stats.fitness.textContent = `${solver.getCurrentFitness().toFixed(0)}/${solver.maxFitness}`;
+            stats.mutationRate.textContent = `${(solver.mutationRate * 100).toFixed(1)}%`;
+            stats.time.textContent = `${entry.elapsedMs.toFixed(0)}ms`;
+        });
+    }
+
+    /**
+     * Estado de una configuración: en curso, resuelta o motivo de fin
+     */
+    describeStatus(entry) {
+        if (entry.solvedAt !== null) {
+            return `0 conflictos en la generación ${entry.solvedAt}`;
+        }
+        if (!entry.done) {
+            return this.isRunning ? 'Evolucionando' : 'Detenida';
+        }
+        return END_REASONS[entry.solver.getPerformanceStats().endReason] ?? 'Terminada';
+    }
+
+    /**
+     * Resume qué configuración llegó antes a cero conflictos y por cuántas generaciones
+     */
+    finish(stopped) {
+        const [a, b] = this.entries;
+        const solved = this.entries.filter(entry => entry.solvedAt !== null)
+            .sort((first, second) => first.solvedAt - second.solvedAt);
+        let summary;
+
+        if (solved.length === 2 && a.solvedAt === b.solvedAt) {
+            summary = `Empate: las dos configuraciones llegaron a 0 conflictos en la generación ${a.solvedAt}`;
+        } else if (solved.length === 2) {
+            const [winner, loser] = solved;
+            summary = `${this.describe(winner)} llegó a 0 conflictos en la generación ${winner.solvedAt}, ` +
+                `${loser.solvedAt - winner.solvedAt} generaciones antes que ${loser.column.key} (${loser.solvedAt})`;
+        } else if (solved.length === 1) {
+            const [winner] = solved;
+            const loser = winner === a ? b : a;
+            summary = `Solo ${this.describe(winner)} llegó a 0 conflictos (generación ${winner.solvedAt}); ` +
+                `${loser.column.key} no lo consiguió en ${loser.solver.getIterations()} generaciones (mejor: ${loser.solver.getConflicts()} conflictos)`;
+        } else {
+            const best = a.solver.getConflicts() === b.solver.getConflicts() ? null :
+                (a.solver.getConflicts() < b.solver.getConflicts() ? a : b);
+            summary = `Ninguna configuración llegó a 0 conflictos (A: ${a.solver.getConflicts()}, B: ${b.solver.getConflicts()})` +
+                (best ? `; ${best.column.key} quedó más cerca` : '');
+        }
+
+        if (stopped) {
+            summary = `Comparación detenida. ${summary}`;
+        }
+        if (solved.length && !(solved.length === 2 && a.solvedAt === b.solvedAt)) {
+            solved[0].column.element.classList.add('winner');
+        }
+
+        this.summaryElement.textContent = summary;
+        this.app.addLogEntry(summary, solved.length ? 'success' : 'warning');
+    }
+}
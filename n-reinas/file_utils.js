@@ -0,0 +1,19 @@
+/**
+ * Utilidades de ficheros para la interfaz (descargas generadas en el navegador)
+ */
+
+/**
+ * Descarga un texto como fichero con el nombre y tipo MIME indicados
+ */
+function downloadTextFile(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
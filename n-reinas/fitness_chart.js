@@ -0,0 +1,361 @@
+/**
+ * Gráfica de convergencia en canvas: fitness máximo y promedio, mejores conflictos
+ * y tasa de mutación por generación. Guarda el historial completo pero solo dibuja
+ * el mínimo y el máximo de cada columna de píxeles, de modo que el coste de pintar
+ * no depende del número de generaciones. Permite inspeccionar una generación con
+ * el ratón y exportar las series en CSV.
+ */
+
+const FITNESS_CHART_SERIES = [
+    { key: 'bestFitness', label: 'Fitness máximo', color: '#ffd700', axis: 'fitness' },
+    { key: 'avgFitness', label: 'Fitness promedio', color: '#8be9fd', axis: 'fitness' },
+    { key: 'conflicts', label: 'Mejores conflictos', color: '#ff5555', axis: 'conflicts' },
+    { key: 'mutationRate', label: 'Tasa de mutación', color: '#50fa7b', axis: 'rate', dashed: true }
+];
+
+class FitnessChart {
+    constructor(canvas, tooltip) {
+        this.canvas = canvas;
+        this.tooltip = tooltip;
+        this.context = canvas.getContext ? canvas.getContext('2d') : null;
+        this.padding = { top: 12, right: 36, bottom: 22, left: 36 };
+
+        this.samples = [];
+        this.ranges = {};
+        this.hoverIndex = null;
+        this.frameRequested = false;
+
+        this.canvas.addEventListener('mousemove', (event) => this.onHover(event));
+        this.canvas.addEventListener('mouseleave', () => this.clearHover());
+    }
+
+    /**
+     * Vacía el historial (nueva ejecución)
+     */
+    clear() {
+        this.samples = [];
+        this.ranges = {};
+        this.clearHover();
+        this.scheduleDraw();
+    }
+
+    /**
+     * Añade la muestra de una generación. Una generación repetida sustituye a la
+     * anterior y una generación menor indica que el solver ha vuelto a empezar.
+     */
+    record({ generation, bestFitness, avgFitness, conflicts, mutationRate }) {
+        if (typeof generation !== 'number') {
+            return;
+        }
+
+        const sample = { generation, bestFitness, avgFitness, conflicts, mutationRate };
+        if (this.samples.length && generation < this.samples[this.samples.length - 1].generation) {
+            this.clear();
+        }
+
+        const last = this.samples[this.samples.length - 1];
+        if (last && generation === last.generation) {
+            this.samples[this.samples.length - 1] = sample;
+        } else {
+            this.samples.push(sample);
+        }
+
+        FITNESS_CHART_SERIES.forEach(({ key, axis }) => {
+            const value = sample[key];
+            if (typeof value !== 'number') {
+                return;
+            }
+            const range = this.ranges[axis] || (this.ranges[axis] = { min: value, max: value });
+            range.min = Math.min(range.min, value);
+            range.max = Math.max(range.max, value);
+        });
+
+        this.scheduleDraw();
+    }
+
+    /**
+     * Pinta como mucho una vez por frame
+     */
+    scheduleDraw() {
+        if (this.frameRequested) {
+            return;
+        }
+
+        this.frameRequested = true;
+        const schedule = typeof requestAnimationFrame === 'function' ?
+            requestAnimationFrame : (callback) => setTimeout(callback, 16);
+        schedule(() => {
+            this.frameRequested = false;
+            this.draw();
+        });
+    }
+
+    /**
+     * Rango vertical de un eje (conflictos y mutación parten de cero)
+     */
+    getAxisRange(axis) {
+        const range = this.ranges[axis];
+        if (!range) {
+            return null;
+        }
+
+        const min = axis === 'fitness' ? range.min : 0;
+        return { min, max: range.max > min ? range.max : min + 1 };
+    }
+
+    /**
+     * Coordenada x de una generación
+     */
+    xFor(generation, width) {
+        const first = this.samples[0].generation;
+        const span = this.samples[this.samples.length - 1].generation - first;
+        const plotWidth = width - this.padding.left - this.padding.right;
+        return this.padding.left + (span > 0 ? (generation - first) / span : 0.5) * plotWidth;
+    }
+
+    /**
+     * Coordenada y de un valor en su eje
+     */
+    yFor(value, range, height) {
+        const plotHeight = height - this.padding.top - this.padding.bottom;
+        return this.padding.top + (1 - (value - range.min) / (range.max - range.min)) * plotHeight;
+    }
+
+    /**
+     * Ajusta el tamaño del canvas a su tamaño en pantalla
+     */
+    resize() {
+        const ratio = typeof devicePixelRatio === 'number' ? devicePixelRatio : 1;
+        const width = this.canvas.clientWidth || this.canvas.width;
+        const height = this.canvas.clientHeight || this.canvas.height;
+
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        return { width, height };
+    }
+
+    /**
+     * Dibuja ejes, series y el cursor de inspección
+     */
+    draw() {
+        if (!this.context) {
+            return;
+        }
+
+        const ctx = this.context;
+        const { width, height } = this.resize();
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        for (let i = 0; i <= 4; i++) {
+            const y = this.padding.top + (height - this.padding.top - this.padding.bottom) * i / 4;
+            ctx.beginPath();
+            ctx.moveTo(this.padding.left, y);
+            ctx.lineTo(width - this.padding.right, y);
+            ctx.stroke();
+        }
+
+        if (!this.samples.length) {
+            return;
+        }
+
+        FITNESS_CHART_SERIES.forEach(series => this.drawSeries(series, width, height));
+        this.drawAxisLabels(width, height);
+
+        if (this.hoverIndex !== null) {
+            const sample = this.samples[this.hoverIndex];
+            const x = this.xFor(sample.generation, width);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(x, this.padding.top);
+            ctx.lineTo(x, height - this.padding.bottom);
+            ctx.stroke();
+
+            FITNESS_CHART_SERIES.forEach(({ key, axis, color }) => {
+                if (typeof sample[key] !== 'number') {
+                    return;
+                }
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(x, this.yFor(sample[key], this.getAxisRange(axis), height), 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+    }
+
+    /**
+     * Dibuja una serie agrupando las muestras por columna de píxeles (mínimo y máximo)
+     */
+    drawSeries({ key, axis, color, dashed }, width, height) {
+        const range = this.getAxisRange(axis);
+        if (!range) {
+            return;
+        }
+
+        const ctx = this.context;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash(dashed ? [4, 3] : []);
+        ctx.beginPath();
+
+        let column = null;
+        let min = 0;
+        let max = 0;
+        let penDown = false;
+
+        const flush = () => {
+            if (column === null) {
+                return;
+            }
+            const top = this.yFor(max, range, height);
+            const bottom = this.yFor(min, range, height);
+            if (penDown) {
+                ctx.lineTo(column, bottom);
+            } else {
+                ctx.moveTo(column, bottom);
+                penDown = true;
+            }
+            if (top !== bottom) {
+                ctx.lineTo(column, top);
+            }
+        };
+
+        for (const sample of this.samples) {
+            const value = sample[key];
+            if (typeof value !== 'number') {
+                // Hueco en la serie: se levanta el lápiz
+                flush();
+                column = null;
+                penDown = false;
+                continue;
+            }
+
+            const x = Math.round(this.xFor(sample.generation, width));
+            if (x !== column) {
+                flush();
+                column = x;
+                min = value;
+                max = value;
+            } else {
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+        }
+        flush();
+
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Etiquetas de los ejes: fitness a la izquierda, conflictos a la derecha, generaciones abajo
+     */
+    drawAxisLabels(width, height) {
+        const ctx = this.context;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.font = '10px sans-serif';
+
+        const fitness = this.getAxisRange('fitness');
+        if (fitness) {
+            ctx.textAlign = 'left';
+            ctx.fillText(String(Math.round(fitness.max)), 2, this.padding.top + 4);
+            ctx.fillText(String(Math.round(fitness.min)), 2, height - this.padding.bottom);
+        }
+
+        const conflicts = this.getAxisRange('conflicts');
+        if (conflicts) {
+            ctx.textAlign = 'right';
+            ctx.fillText(String(Math.round(conflicts.max)), width - 2, this.padding.top + 4);
+            ctx.fillText('0', width - 2, height - this.padding.bottom);
+        }
+
+        const first = this.samples[0].generation;
+        const last = this.samples[this.samples.length - 1].generation;
+        ctx.textAlign = 'left';
+        ctx.fillText(String(first), this.padding.left, height - 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(String(last), width - this.padding.right, height - 6);
+    }
+
+    /**
+     * Índice de la muestra más cercana a una generación (búsqueda binaria)
+     */
+    findNearest(generation) {
+        let low = 0;
+        let high = this.samples.length - 1;
+
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.samples[mid].generation < generation) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        if (low > 0 && generation - this.samples[low - 1].generation < this.samples[low].generation - generation) {
+            return low - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Muestra los valores de la generación bajo el cursor
+     */
+    onHover(event) {
+        if (!this.samples.length) {
+            return;
+        }
+
+        const rect = this.canvas.getBoundingClientRect();
+        const width = rect.width || this.canvas.clientWidth || this.canvas.width;
+        const plotWidth = width - this.padding.left - this.padding.right;
+        const first = this.samples[0].generation;
+        const span = this.samples[this.samples.length - 1].generation - first;
+        const ratio = Math.max(0, Math.min(1, (event.clientX - rect.left - this.padding.left) / plotWidth));
+
+        this.hoverIndex = this.findNearest(first + ratio * span);
+        const sample = this.samples[this.hoverIndex];
+
+        const format = (key, value) => (key === 'mutationRate' ?
+            `${(value * 100).toFixed(1)}%` :
+            (Number.isInteger(value) ? String(value) : value.toFixed(2)));
+        const rows = FITNESS_CHART_SERIES
+            .filter(({ key }) => typeof sample[key] === 'number')
+            .map(({ key, label, color }) =>
+                `<div><span class="chart-swatch" style="background: ${color};"></span>${label}: ${format(key, sample[key])}</div>`);
+
+        this.tooltip.innerHTML = `<strong>Generación ${sample.generation}</strong>${rows.join('')}`;
+        this.tooltip.hidden = false;
+        const x = this.xFor(sample.generation, width);
+        this.tooltip.style.left = `${Math.min(x + 12, Math.max(0, width - 170))}px`;
+        this.scheduleDraw();
+    }
+
+    /**
+     * Oculta el cursor de inspección
+     */
+    clearHover() {
+        this.hoverIndex = null;
+        this.tooltip.hidden = true;
+        this.scheduleDraw();
+    }
+
+    /**
+     * Series completas en CSV (una fila por generación registrada)
+     */
+    toCSV() {
+        const keys = ['generation', ...FITNESS_CHART_SERIES.map(({ key }) => key)];
+        const rows = this.samples.map(sample => keys
+            .map(key => (typeof sample[key] === 'number' ? sample[key] : ''))
+            .join(','));
+        return [keys.join(','), ...rows].join('\n');
+    }
+}
@@ -0,0 +1,482 @@
+/**
+ * Algoritmo genético en islas. La población se reparte entre K islas; cada una es un
+ * NQueensSolver que evoluciona con su propio runGeneration y, cada M generaciones,
+ * envía copias de sus mejores individuos a las islas vecinas según la topología de
+ * migración, donde sustituyen a los peores. Sigue el contrato de NQueensSolver.
+ */
+
+const islandCore = typeof module !== 'undefined' && module.exports ? {
+    NQueensSolver: require('./nqueens_correct.js'),
+    ...require('./nqueens_correct.js')
+} : { NQueensSolver, SeededRandom, CROSSOVER_OPERATORS };
+
+/**
+ * Topologías de migración: targets(index, count) devuelve las islas que reciben
+ * los emigrantes de la isla `index`
+ */
+const MIGRATION_TOPOLOGIES = {
+    ring: {
+        label: 'Anillo',
+        targets: (index, count) => (count > 1 ? [(index + 1) % count] : [])
+    },
+    full: {
+        label: 'Totalmente conectada',
+        targets: (index, count) => Array.from({ length: count }, (_, target) => target)
+            .filter(target => target !== index)
+    }
+};
+
+class IslandModelSolver {
+    constructor() {
+        this.N = 8;
+        this.maxGenerations = 1000;
+        this.populationSize = 100;
+        this.animationSpeed = 500;
+        this.islandCount = 4;
+        this.migrationInterval = 20;
+        this.migrationTopology = 'ring';
+        this.migrants = 2;
+        this.seed = null;
+        this.random = new islandCore.SeededRandom();
+
+        this.islands = [];
+        this.currentGeneration = 0;
+        this.migrations = 0;
+        this.maxFitness = 0;
+
+        this.bestIndividual = [];
+        this.bestFitness = 0;
+        this.bestConflicts = Infinity;
+        this.avgFitness = 0;
+        this.mutationRate = 0.1;
+
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.yieldInterval = 16;
+
+        this.callbacks = {
+            onUpdate: null,
+            onComplete: null,
+            onLog: null
+        };
+
+        this.config = {
+            N: this.N,
+            maxGenerations: this.maxGenerations,
+            populationSize: this.populationSize,
+            animationSpeed: this.animationSpeed,
+            islands: this.islandCount,
+            migrationInterval: this.migrationInterval,
+            migrationTopology: this.migrationTopology,
+            migrants: this.migrants,
+            seed: null
+        };
+    }
+
+    /**
+     * Reparte la población entre las islas e inicializa cada una con su propia semilla
+     */
+    initialize(params = {}) {
+        const config = {
+            ...params,
+            N: params.N ?? this.N,
+            maxGenerations: params.maxGenerations ?? params.MAX_ITER ?? this.maxGenerations,
+            populationSize: params.populationSize ?? this.populationSize,
+            animationSpeed: params.animationSpeed ?? this.animationSpeed,
+            islands: Math.max(1, Math.floor(params.islands ?? this.islandCount)),
+            migrationInterval: Math.max(1, Math.floor(params.migrationInterval ?? this.migrationInterval)),
+            migrationTopology: params.migrationTopology ?? this.migrationTopology,
+            migrants: Math.max(1, Math.floor(params.migrants ?? this.migrants)),
+            seed: params.seed ?? null
+        };
+
+        if (!MIGRATION_TOPOLOGIES[config.migrationTopology]) {
+            this.log(`Topología de migración desconocida "${config.migrationTopology}", se usa anillo`);
+            config.migrationTopology = 'ring';
+        }
+
+        this.N = config.N;
+        this.maxGenerations = config.maxGenerations;
+        this.populationSize = config.populationSize;
+        this.animationSpeed = config.animationSpeed;
+        this.islandCount = config.islands;
+        this.migrationInterval = config.migrationInterval;
+        this.migrationTopology = config.migrationTopology;
+        this.migrants = config.migrants;
+        this.config = { ...config };
+
+        this.random = new islandCore.SeededRandom(config.seed ?? islandCore.SeededRandom.randomSeed());
+        this.seed = this.random.seed;
+
+        // Cada isla recibe una parte de la población (al menos 2 individuos para poder cruzar);
+        // el resto de la división se reparte entre las primeras islas
+        const baseSize = Math.floor(this.populationSize / this.islandCount);
+        const remainder = this.populationSize % this.islandCount;
+        const islandSizes = Array.from({ length: this.islandCount },
+            (_, index) => Math.max(2, baseSize + (index < remainder ? 1 : 0)));
+        this.islands = islandSizes.map(islandSize => {
+            const island = new islandCore.NQueensSolver();
+            island.initialize({
+                ...config,
+                populationSize: islandSize,
+                animationSpeed: 0,
+                targetSolutions: 1,
+                seed: this.random.nextInt(0x100000000)
+            });
+            return island;
+        });
+
+        this.maxFitness = this.islands[0].maxFitness;
+        this.currentGeneration = 0;
+        this.migrations = 0;
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.updateBest();
+        this.dispatchUpdate();
+
+        const topology = MIGRATION_TOPOLOGIES[this.migrationTopology];
+        const totalSize = islandSizes.reduce((sum, size) => sum + size, 0);
+        const sizes = [...new Set(islandSizes)].join(' o ');
+        this.log(`Inicialización completada -> N=${this.N}, ${this.islandCount} islas de ${sizes} individuos, semilla=${this.seed}`);
+        if (totalSize !== this.populationSize) {
+            this.log(`Población efectiva: ${totalSize} individuos (cada isla necesita al menos 2)`);
+        }
+        this.log(`Migración: ${this.migrants} individuos cada ${this.migrationInterval} generaciones (topología ${topology.label.toLowerCase()})`);
+        this.log(`Selección: ${this.islands[0].describeSelection()}, cruce: ${islandCore.CROSSOVER_OPERATORS[this.islands[0].crossover].label}`);
+        this.islands[0].rules.warnings.forEach(warning => this.log(warning));
+        if (this.islands[0].variant !== 'classic') {
+            this.log(`Variante: ${this.islands[0].rules.describe()}`);
+        }
+        this.log(`Mejores conflictos iniciales por isla: ${this.describeIslands()}`);
+    }
+
+    /**
+     * Actualiza el mejor individuo global y las medias de fitness y mutación
+     */
+    updateBest() {
+        let best = this.islands[0];
+        let sumFitness = 0;
+        let sumMutationRate = 0;
+
+        this.islands.forEach(island => {
+            if (island.bestFitness > best.bestFitness) {
+                best = island;
+            }
+            sumFitness += island.avgFitness;
+            sumMutationRate += island.mutationRate;
+        });
+
+        this.bestIndividual = [...best.bestIndividual];
+        this.bestFitness = best.bestFitness;
+        this.bestConflicts = best.bestConflicts;
+        this.avgFitness = sumFitness / this.islands.length;
+        this.mutationRate = sumMutationRate / this.islands.length;
+    }
+
+    /**
+     * Mejores conflictos de cada isla en texto ("I1=3, I2=1, ...")
+     */
+    describeIslands() {
+        return this.islands.map((island, index) => `I${index + 1}=${island.bestConflicts}`).join(', ');
+    }
+
+    /**
+     * Resumen por isla para la UI
+     */
+    getIslandStats() {
+        return this.islands.map(island => ({
+            bestConflicts: island.bestConflicts,
+            bestFitness: island.bestFitness,
+            avgFitness: island.avgFitness
+        }));
+    }
+
+    /**
+     * Copias de los `count` mejores individuos de una isla
+     */
+    selectEmigrants(island, count) {
+        return island.fitnessInfo
+            .map((info, index) => ({ index, conflicts: info.conflicts }))
+            .sort((a, b) => a.conflicts - b.conflicts)
+            .slice(0, count)
+            .map(({ index }) => [...island.population[index]]);
+    }
+
+    /**
+     * Envía los mejores individuos de cada isla a sus vecinas, que sustituyen con ellos
+     * a sus peores individuos (como mucho la mitad de la isla)
+     */
+    migrate() {
+        const count = this.islands.length;
+        if (count < 2) {
+            return;
+        }
+
+        const topology = MIGRATION_TOPOLOGIES[this.migrationTopology];
+        const emigrants = this.islands.map(island => this.selectEmigrants(island, this.migrants));
+        const incoming = this.islands.map(() => []);
+        emigrants.forEach((individuals, source) => {
+            topology.targets(source, count).forEach(target => incoming[target].push(...individuals));
+        });
+
+        incoming.forEach((immigrants, target) => {
+            const island = this.islands[target];
+            const slots = Math.min(immigrants.length, Math.floor(island.population.length / 2));
+            const worst = island.fitnessInfo
+                .map((info, index) => ({ index, conflicts: info.conflicts }))
+                .sort((a, b) => b.conflicts - a.conflicts)
+                .slice(0, slots);
+
+            worst.forEach(({ index }, i) => {
+                island.population[index] = [...immigrants[i]];
+            });
+            island.evaluatePopulation();
+        });
+
+        this.migrations++;
+    }
+
+    /**
+     * Ejecuta una generación en todas las islas y, si toca, una migración
+     */
+    async runGeneration() {
+        if (!this.islands.length) {
+            return false;
+        }
+
+        for (const island of this.islands) {
+            await island.runGeneration();
+        }
+
+        this.currentGeneration += 1;
+        if (this.currentGeneration % this.migrationInterval === 0) {
+            this.migrate();
+        }
+        this.updateBest();
+
+        const solved = this.bestConflicts === 0;
+        this.dispatchUpdate();
+
+        if (this.currentGeneration % 10 === 0 || solved) {
+            this.log(`Generación ${this.currentGeneration}: conflictos=${this.bestConflicts}, fitness=${this.bestFitness.toFixed(2)} (avg=${this.avgFitness.toFixed(2)}), islas: ${this.describeIslands()}`);
+        }
+
+        if (this.animationSpeed > 0 && !this.isStepMode) {
+            await this.sleep(this.animationSpeed);
+        }
+
+        return solved;
+    }
+
+    /**
+     * Ejecuta el algoritmo en modo automático
+     */
+    async solve() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        this.isStepMode = false;
+        this.dispatchUpdate();
+
+        this.log('Ejecución del algoritmo genético en islas iniciada');
+        this.log(`Islas: ${this.islandCount}, población total: ${this.islands.reduce((sum, island) => sum + island.populationSize, 0)}, semilla: ${this.seed}`);
+
+        let lastYield = Date.now();
+        while (this.isRunning && this.currentGeneration < this.maxGenerations) {
+            if (await this.runGeneration()) {
+                this.finish(true);
+                return;
+            }
+
+            // Sin animación se cede el control periódicamente para poder atender stop()
+            if (this.animationSpeed === 0 && Date.now() - lastYield >= this.yieldInterval) {
+                await this.sleep(0);
+                lastYield = Date.now();
+            }
+        }
+
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.log(`Máximo de generaciones alcanzado (${this.maxGenerations}); ${this.migrations} migraciones realizadas.`);
+        this.finish(false);
+    }
+
+    /**
+     * Ejecuta una única generación en modo paso a paso
+     */
+    async step() {
+        if (this.isRunning && !this.isStepMode) {
+            return;
+        }
+
+        this.isStepMode = true;
+        this.isRunning = true;
+
+        const solved = await this.runGeneration();
+        this.isRunning = false;
+
+        if (solved) {
+            this.finish(true);
+        }
+    }
+
+    /**
+     * Detiene la ejecución en curso
+     */
+    stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.log('Ejecución detenida por el usuario');
+    }
+
+    /**
+     * Reinicia todas las islas con nuevos individuos aleatorios
+     */
+    reset() {
+        this.stop();
+        this.initialize(this.config);
+        this.log('Islas reiniciadas');
+    }
+
+    /**
+     * Devuelve el mejor tablero conocido
+     */
+    getBoard() {
+        return [...this.bestIndividual];
+    }
+
+    /**
+     * Conflictos del mejor individuo
+     */
+    getConflicts() {
+        return this.bestConflicts;
+    }
+
+    /**
+     * Fitness del mejor individuo
+     */
+    getCurrentFitness() {
+        return this.bestFitness;
+    }
+
+    /**
+     * Generaciones acumuladas
+     */
+    getIterations() {
+        return this.currentGeneration;
+    }
+
+    /**
+     * Determina si el algoritmo está ejecutándose
+     */
+    isExecuting() {
+        return this.isRunning;
+    }
+
+    /**
+     * Eficiencia relativa al máximo de generaciones permitido
+     */
+    getEfficiency() {
+        if (!this.maxGenerations) {
+            return '-';
+        }
+        const remaining = Math.max(0, this.maxGenerations - this.currentGeneration);
+        return `${((remaining / this.maxGenerations) * 100).toFixed(1)}%`;
+    }
+
+    /**
+     * Estadísticas en formato amigable para la UI
+     */
+    getPerformanceStats() {
+        return {
+            conflicts: this.bestConflicts,
+            generations: this.currentGeneration,
+            iterations: this.currentGeneration,
+            bestFitness: this.bestFitness,
+            avgFitness: this.avgFitness,
+            mutationRate: this.mutationRate,
+            islands: this.getIslandStats(),
+            migrations: this.migrations,
+            seed: this.seed,
+            efficiency: this.getEfficiency(),
+            solutionFound: this.bestConflicts === 0,
+            board: [...this.bestIndividual]
+        };
+    }
+
+    /**
+     * Semilla efectiva de la ejecución actual
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Registra callbacks externos
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Envía una actualización al exterior (con los mejores conflictos de cada isla)
+     */
+    dispatchUpdate() {
+        if (!this.callbacks.onUpdate) {
+            return;
+        }
+
+        this.callbacks.onUpdate({
+            board: [...this.bestIndividual],
+            conflicts: this.bestConflicts,
+            generation: this.currentGeneration,
+            fitness: this.bestFitness,
+            bestFitness: this.bestFitness,
+            avgFitness: this.avgFitness,
+            mutationRate: this.mutationRate,
+            conflictData: this.islands[0].rules.analyze(this.bestIndividual),
+            islands: this.getIslandStats(),
+            migrations: this.migrations
+        });
+    }
+
+    /**
+     * Finaliza la ejecución y notifica resultado
+     */
+    finish(success) {
+        this.isRunning = false;
+        this.isStepMode = false;
+        if (this.callbacks.onComplete) {
+            this.callbacks.onComplete(success, this.currentGeneration);
+        }
+    }
+
+    /**
+     * Utilidad para dormir asincrónicamente
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Escribe mensajes en el log externo si existe
+     */
+    log(message) {
+        if (this.callbacks.onLog) {
+            this.callbacks.onLog(message);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IslandModelSolver;
+    module.exports.MIGRATION_TOPOLOGIES = MIGRATION_TOPOLOGIES;
+}
@@ -0,0 +1,493 @@
+/**
+ * Solvers de búsqueda local para el problema de las N-Reinas: min-conflicts
+ * (hill climbing) y recocido simulado. Ambos trabajan sobre una única permutación
+ * e intercambian columnas, evaluando cada intercambio en O(1) con los contadores
+ * por diagonal de DiagonalConflictCounter. Siguen el contrato de NQueensSolver
+ * y publican el mismo payload de onUpdate (board, conflicts, generation...).
+ */
+
+const nqueensCore = typeof module !== 'undefined' && module.exports ?
+    require('./nqueens_correct.js') : { SeededRandom, DiagonalConflictCounter };
+
+class LocalSearchSolver {
+    constructor() {
+        this.N = 8;
+        this.maxGenerations = 1000;
+        this.animationSpeed = 500;
+        this.seed = null;
+        this.random = new nqueensCore.SeededRandom();
+
+        this.counter = null;
+        this.currentGeneration = 0;
+        this.maxFitness = 0;
+        this.bestIndividual = [];
+        this.bestConflicts = Infinity;
+        this.lastMove = null;
+
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.yieldInterval = 16;
+
+        this.callbacks = {
+            onUpdate: null,
+            onComplete: null,
+            onLog: null
+        };
+
+        this.config = {
+            N: this.N,
+            maxGenerations: this.maxGenerations,
+            animationSpeed: this.animationSpeed,
+            seed: null
+        };
+    }
+
+    /**
+     * Nombre del método para los mensajes del log
+     */
+    get name() {
+        return 'Búsqueda local';
+    }
+
+    /**
+     * Inicializa la búsqueda con un tablero aleatorio
+     */
+    initialize(params = {}) {
+        const config = {
+            ...params,
+            N: params.N ?? this.N,
+            maxGenerations: params.maxGenerations ?? params.MAX_ITER ?? this.maxGenerations,
+            animationSpeed: params.animationSpeed ?? this.animationSpeed,
+            seed: params.seed ?? null
+        };
+
+        this.N = config.N;
+        this.maxGenerations = config.maxGenerations;
+        this.animationSpeed = config.animationSpeed;
+        this.config = { ...config };
+
+        this.random = new nqueensCore.SeededRandom(config.seed ?? nqueensCore.SeededRandom.randomSeed());
+        this.seed = this.random.seed;
+
+        this.configure(config);
+
+        this.maxFitness = (this.N * (this.N - 1)) / 2;
+        this.currentGeneration = 0;
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.lastMove = null;
+
+        this.counter = new nqueensCore.DiagonalConflictCounter(this.generateRandomPermutation(this.N));
+        this.bestIndividual = [...this.counter.board];
+        this.bestConflicts = this.counter.conflicts;
+        this.dispatchUpdate();
+
+        this.log(`${this.name} inicializado -> N=${this.N}, iteraciones máximas=${this.maxGenerations}, semilla=${this.seed}`);
+        this.log(`Tablero inicial: ${this.counter.conflicts} conflictos`);
+    }
+
+    /**
+     * Lee los parámetros específicos de cada método
+     */
+    configure() {}
+
+    /**
+     * Genera una permutación aleatoria válida para un tablero de tamaño N
+     */
+    generateRandomPermutation(N) {
+        const permutation = Array.from({ length: N }, (_, idx) => idx);
+
+        for (let i = N - 1; i > 0; i--) {
+            const j = this.random.nextInt(i + 1);
+            [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+        }
+
+        return permutation;
+    }
+
+    /**
+     * Realiza un movimiento de la búsqueda (lo implementa cada método)
+     */
+    iterate() {}
+
+    /**
+     * Ejecuta una iteración y actualiza el mejor tablero conocido
+     */
+    runIteration() {
+        if (this.N < 2) {
+            return this.counter.conflicts === 0;
+        }
+
+        this.iterate();
+        this.currentGeneration += 1;
+
+        if (this.counter.conflicts < this.bestConflicts) {
+            this.bestConflicts = this.counter.conflicts;
+            this.bestIndividual = [...this.counter.board];
+        }
+
+        if (this.currentGeneration % 100 === 0 || this.counter.conflicts === 0) {
+            this.log(`Iteración ${this.currentGeneration}: conflictos=${this.counter.conflicts} (mejor=${this.bestConflicts})${this.describeState()}`);
+        }
+
+        return this.counter.conflicts === 0;
+    }
+
+    /**
+     * Información adicional del método para el log
+     */
+    describeState() {
+        return '';
+    }
+
+    /**
+     * Ejecuta la búsqueda en modo automático
+     */
+    async solve() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        this.isStepMode = false;
+        this.log(`Ejecución de ${this.name.toLowerCase()} iniciada (semilla: ${this.seed})`);
+
+        if (this.counter.conflicts === 0) {
+            this.finish(true);
+            return;
+        }
+
+        let lastYield = Date.now();
+        while (this.isRunning && this.currentGeneration < this.maxGenerations) {
+            const solved = this.runIteration();
+
+            if (this.animationSpeed > 0) {
+                this.dispatchUpdate();
+            } else if (solved || Date.now() - lastYield >= this.yieldInterval) {
+                this.dispatchUpdate();
+            }
+
+            if (solved) {
+                this.finish(true);
+                return;
+            }
+
+            if (this.animationSpeed > 0) {
+                await this.sleep(this.animationSpeed);
+            } else if (Date.now() - lastYield >= this.yieldInterval) {
+                await this.sleep(0);
+                lastYield = Date.now();
+            }
+        }
+
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.dispatchUpdate({ best: true });
+        this.log(`Máximo de iteraciones alcanzado (${this.maxGenerations}).`);
+        this.finish(false);
+    }
+
+    /**
+     * Ejecuta una única iteración en modo paso a paso
+     */
+    async step() {
+        if (this.isRunning && !this.isStepMode) {
+            return;
+        }
+
+        this.isStepMode = true;
+        this.isRunning = true;
+
+        const solved = this.runIteration();
+        this.dispatchUpdate();
+        this.isRunning = false;
+
+        if (solved) {
+            this.finish(true);
+        }
+    }
+
+    /**
+     * Detiene la ejecución en curso
+     */
+    stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.dispatchUpdate({ best: true });
+        this.log('Ejecución detenida por el usuario');
+    }
+
+    /**
+     * Reinicia la búsqueda con un tablero aleatorio nuevo
+     */
+    reset() {
+        this.stop();
+        this.initialize(this.config);
+        this.log('Tablero reiniciado');
+    }
+
+    /**
+     * Mejor tablero encontrado (el recocido puede haberse alejado de él)
+     */
+    getBoard() {
+        return [...this.bestIndividual];
+    }
+
+    /**
+     * Conflictos del mejor tablero encontrado
+     */
+    getConflicts() {
+        return this.bestConflicts;
+    }
+
+    /**
+     * Fitness del mejor tablero encontrado
+     */
+    getCurrentFitness() {
+        return this.maxFitness - this.getConflicts();
+    }
+
+    /**
+     * Iteraciones acumuladas
+     */
+    getIterations() {
+        return this.currentGeneration;
+    }
+
+    /**
+     * Determina si la búsqueda está ejecutándose
+     */
+    isExecuting() {
+        return this.isRunning;
+    }
+
+    /**
+     * Eficiencia relativa al máximo de iteraciones permitido
+     */
+    getEfficiency() {
+        if (!this.maxGenerations) {
+            return '-';
+        }
+        const remaining = Math.max(0, this.maxGenerations - this.currentGeneration);
+        return `${((remaining / this.maxGenerations) * 100).toFixed(1)}%`;
+    }
+
+    /**
+     * Semilla efectiva de la ejecución actual
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Estadísticas en formato amigable para la UI
+     */
+    getPerformanceStats() {
+        return {
+            conflicts: this.getConflicts(),
+            generations: this.currentGeneration,
+            iterations: this.currentGeneration,
+            bestFitness: this.maxFitness - this.bestConflicts,
+            efficiency: this.getEfficiency(),
+            solutionFound: this.getConflicts() === 0,
+            seed: this.seed,
+            board: this.getBoard()
+        };
+    }
+
+    /**
+     * Registra callbacks externos
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Campos adicionales del método para el payload de onUpdate
+     */
+    getExtraPayload() {
+        return {};
+    }
+
+    /**
+     * Envía una actualización al exterior: el tablero de la búsqueda mientras avanza
+     * o, con `best`, el mejor encontrado (al terminar sin solución o al detenerla)
+     */
+    dispatchUpdate({ best = false } = {}) {
+        if (!this.callbacks.onUpdate) {
+            return;
+        }
+
+        const counter = best ? new nqueensCore.DiagonalConflictCounter(this.bestIndividual) : this.counter;
+        this.callbacks.onUpdate({
+            board: [...counter.board],
+            conflicts: counter.conflicts,
+            generation: this.currentGeneration,
+            fitness: this.maxFitness - counter.conflicts,
+            bestFitness: this.maxFitness - this.bestConflicts,
+            conflictData: counter.getConflictData(),
+            ...this.getExtraPayload(),
+            // El último movimiento no corresponde al mejor tablero
+            ...(best ? { movedRow: null, movedCol: null } : {})
+        });
+    }
+
+    /**
+     * Finaliza la ejecución y notifica resultado
+     */
+    finish(success) {
+        this.isRunning = false;
+        this.isStepMode = false;
+        if (this.callbacks.onComplete) {
+            this.callbacks.onComplete(success, this.currentGeneration);
+        }
+    }
+
+    /**
+     * Utilidad para dormir asincrónicamente
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Escribe mensajes en el log externo si existe
+     */
+    log(message) {
+        if (this.callbacks.onLog) {
+            this.callbacks.onLog(message);
+        }
+    }
+}
+
+/**
+ * Min-conflicts: en cada iteración se elige al azar una reina en conflicto y se
+ * intercambia con la columna que deja menos conflictos (empates al azar).
+ */
+class MinConflictsSolver extends LocalSearchSolver {
+    /**
+     * Nombre del método para los mensajes del log
+     */
+    get name() {
+        return 'Min-conflicts';
+    }
+
+    /**
+     * Mueve una reina en conflicto al mejor intercambio posible (O(N))
+     */
+    iterate() {
+        const conflicting = this.counter.getConflictingIndices();
+        if (!conflicting.length) {
+            return;
+        }
+
+        const index = conflicting[this.random.nextInt(conflicting.length)];
+        let bestDelta = Infinity;
+        let candidates = [];
+
+        for (let other = 0; other < this.N; other++) {
+            if (other === index) {
+                continue;
+            }
+            const delta = this.counter.swapDelta(index, other);
+            if (delta < bestDelta) {
+                bestDelta = delta;
+                candidates = [other];
+            } else if (delta === bestDelta) {
+                candidates.push(other);
+            }
+        }
+
+        const other = candidates[this.random.nextInt(candidates.length)];
+        this.counter.applySwap(index, other);
+        this.lastMove = { row: index, col: this.counter.board[index] };
+    }
+
+    /**
+     * Resalta la reina movida en la última iteración
+     */
+    getExtraPayload() {
+        return {
+            movedRow: this.lastMove ? this.lastMove.row : null,
+            movedCol: this.lastMove ? this.lastMove.col : null
+        };
+    }
+}
+
+/**
+ * Recocido simulado: se propone un intercambio aleatorio y se acepta si no empeora
+ * o, si empeora en delta conflictos, con probabilidad exp(-delta / T).
+ * La temperatura T se enfría geométricamente en cada iteración.
+ */
+class SimulatedAnnealingSolver extends LocalSearchSolver {
+    constructor() {
+        super();
+        this.initialTemperature = 2;
+        this.coolingRate = 0.995;
+        this.minTemperature = 0.01;
+        this.temperature = this.initialTemperature;
+        this.acceptedMoves = 0;
+    }
+
+    /**
+     * Nombre del método para los mensajes del log
+     */
+    get name() {
+        return 'Recocido simulado';
+    }
+
+    /**
+     * Lee la temperatura inicial y el factor de enfriamiento
+     */
+    configure(config) {
+        this.initialTemperature = Math.max(this.minTemperature, config.initialTemperature ?? this.initialTemperature);
+        this.coolingRate = Math.min(1, Math.max(0, config.coolingRate ?? this.coolingRate));
+        this.temperature = this.initialTemperature;
+        this.acceptedMoves = 0;
+        this.config.initialTemperature = this.initialTemperature;
+        this.config.coolingRate = this.coolingRate;
+    }
+
+    /**
+     * Propone un intercambio aleatorio y decide si aceptarlo
+     */
+    iterate() {
+        const i = this.random.nextInt(this.N);
+        let j = this.random.nextInt(this.N);
+        while (i === j) {
+            j = this.random.nextInt(this.N);
+        }
+
+        const delta = this.counter.swapDelta(i, j);
+        if (delta <= 0 || this.random.next() < Math.exp(-delta / this.temperature)) {
+            this.counter.applySwap(i, j);
+            this.acceptedMoves++;
+        }
+
+        this.temperature = Math.max(this.minTemperature, this.temperature * this.coolingRate);
+    }
+
+    /**
+     * Temperatura actual para el log
+     */
+    describeState() {
+        return `, T=${this.temperature.toFixed(3)}`;
+    }
+
+    /**
+     * Publica la temperatura actual junto al tablero
+     */
+    getExtraPayload() {
+        return { temperature: this.temperature };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocalSearchSolver, MinConflictsSolver, SimulatedAnnealingSolver };
+}
@@ -1,486 +1,2694 @@
-﻿/**
- * Algoritmo evolutivo (genético) para resolver el problema de las N-Reinas.
- * Cada individuo representa una permutación de tamaño N donde el índice es la columna
- * y el valor es la fila donde se coloca una reina. De esta forma se garantizan
- * cero conflictos por filas y columnas; únicamente se penalizan conflictos diagonales.
- */
-
-class NQueensSolver {
-    constructor() {
-        this.N = 8;
-        this.maxGenerations = 1000;
-        this.populationSize = 100;
-        this.mutationRate = 0.1;
-        this.animationSpeed = 500;
-
-        this.population = [];
-        this.fitnessInfo = [];
-        this.currentGeneration = 0;
-        this.maxFitness = 0;
-
-        this.bestIndividual = [];
-        this.bestFitness = 0;
-        this.bestConflicts = Infinity;
-        this.avgFitness = 0;
-
-        this.isRunning = false;
-        this.isStepMode = false;
-
-        this.callbacks = {
-            onUpdate: null,
-            onComplete: null,
-            onLog: null
-        };
-
-        this.config = {
-            N: this.N,
-            maxGenerations: this.maxGenerations,
-            populationSize: this.populationSize,
-            mutationRate: this.mutationRate,
-            animationSpeed: this.animationSpeed
-        };
-    }
-
-    /**
-     * Inicializa el algoritmo con los parámetros proporcionados
-     */
-    initialize(paramsOrN, maybeMaxGenerations, maybeAnimationSpeed) {
-        let config;
-
-        if (typeof paramsOrN === 'object') {
-            const params = paramsOrN;
-            config = {
-                N: params.N ?? this.N,
-                maxGenerations: params.maxGenerations ?? params.MAX_ITER ?? this.maxGenerations,
-                animationSpeed: params.animationSpeed ?? this.animationSpeed,
-                populationSize: params.populationSize ?? this.populationSize,
-                mutationRate: params.mutationRate ?? this.mutationRate
-            };
-        } else {
-            config = {
-                N: paramsOrN ?? this.N,
-                maxGenerations: maybeMaxGenerations ?? this.maxGenerations,
-                animationSpeed: maybeAnimationSpeed ?? this.animationSpeed,
-                populationSize: this.populationSize,
-                mutationRate: this.mutationRate
-            };
-        }
-
-        this.N = config.N;
-        this.maxGenerations = config.maxGenerations;
-        this.animationSpeed = config.animationSpeed;
-        this.populationSize = config.populationSize;
-        this.mutationRate = config.mutationRate;
-
-        this.config = { ...config };
-
-        this.maxFitness = this.calculateMaxFitness(this.N);
-        this.currentGeneration = 0;
-        this.isRunning = false;
-        this.isStepMode = false;
-
-        this.population = this.generateInitialPopulation(this.populationSize, this.N);
-        this.evaluatePopulation();
-        this.dispatchUpdate();
-
-        this.log(`Inicialización completada -> N=${this.N}, población=${this.populationSize}, mutación=${(this.mutationRate * 100).toFixed(1)}%`);
-        this.log(`Fitness máximo posible: ${this.maxFitness}`);
-        this.log(`Mejor individuo inicial: [${this.bestIndividual.join(', ')}] (conflictos: ${this.bestConflicts})`);
-    }
-
-    /**
-     * Genera la población inicial de manera aleatoria
-     */
-    generateInitialPopulation(populationSize, N) {
-        const population = [];
-        for (let i = 0; i < populationSize; i++) {
-            population.push(this.generateRandomPermutation(N));
-        }
-        return population;
-    }
-
-    /**
-     * Genera una permutación aleatoria válida para un tablero de tamaño N
-     */
-    generateRandomPermutation(N) {
-        const permutation = Array.from({ length: N }, (_, idx) => idx);
-
-        for (let i = N - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
-        }
-
-        return permutation;
-    }
-
-    /**
-     * Calcula el número de pares de reinas en conflicto (solo diagonales)
-     */
-    calculateConflicts(board) {
-        let conflicts = 0;
-        const N = board.length;
-
-        for (let i = 0; i < N; i++) {
-            for (let j = i + 1; j < N; j++) {
-                if (Math.abs(board[i] - board[j]) === Math.abs(i - j)) {
-                    conflicts++;
-                }
-            }
-        }
-
-        return conflicts;
-    }
-
-    /**
-     * Fitness máximo (todas las parejas de reinas no atacándose)
-     */
-    calculateMaxFitness(N) {
-        return (N * (N - 1)) / 2;
-    }
-
-    /**
-     * Evalúa toda la población y actualiza métricas agregadas
-     */
-    evaluatePopulation() {
-        if (!this.population.length) {
-            this.bestIndividual = [];
-            this.bestFitness = 0;
-            this.bestConflicts = Infinity;
-            this.avgFitness = 0;
-            return;
-        }
-
-        let bestIndex = 0;
-        let bestFitness = -Infinity;
-        let bestConflicts = Infinity;
-        let sumFitness = 0;
-
-        this.fitnessInfo = this.population.map(individual => {
-            const conflicts = this.calculateConflicts(individual);
-            const fitness = this.maxFitness - conflicts;
-            return { fitness, conflicts };
-        });
-
-        for (let i = 0; i < this.fitnessInfo.length; i++) {
-            const { fitness, conflicts } = this.fitnessInfo[i];
-            sumFitness += fitness;
-
-            if (fitness > bestFitness) {
-                bestFitness = fitness;
-                bestConflicts = conflicts;
-                bestIndex = i;
-            }
-        }
-
-        this.bestIndividual = [...this.population[bestIndex]];
-        this.bestFitness = bestFitness;
-        this.bestConflicts = bestConflicts;
-        this.avgFitness = sumFitness / this.fitnessInfo.length;
-    }
-
-    /**
-     * Selección por torneo binario
-     */
-    selectParent() {
-        const tournamentSize = Math.min(3, this.population.length);
-        let bestCandidateIndex = Math.floor(Math.random() * this.population.length);
-
-        for (let i = 1; i < tournamentSize; i++) {
-            const challengerIndex = Math.floor(Math.random() * this.population.length);
-            if (this.fitnessInfo[challengerIndex].fitness > this.fitnessInfo[bestCandidateIndex].fitness) {
-                bestCandidateIndex = challengerIndex;
-            }
-        }
-
-        return [...this.population[bestCandidateIndex]];
-    }
-
-    /**
-     * Order Crossover (OX) para permutaciones
-     */
-    orderCrossover(parent1, parent2) {
-        const length = parent1.length;
-        const child = Array(length).fill(null);
-
-        let start = Math.floor(Math.random() * length);
-        let end = Math.floor(Math.random() * length);
-
-        if (start === end) {
-            end = (start + 1) % length;
-        }
-        if (start > end) {
-            [start, end] = [end, start];
-        }
-
-        for (let i = start; i <= end; i++) {
-            child[i] = parent1[i];
-        }
-
-        let childIndex = (end + 1) % length;
-        for (let i = 0; i < length; i++) {
-            const candidate = parent2[(end + 1 + i) % length];
-            if (!child.includes(candidate)) {
-                child[childIndex] = candidate;
-                childIndex = (childIndex + 1) % length;
-            }
-        }
-
-        return child;
-    }
-
-    /**
-     * Mutación por intercambio de dos columnas
-     */
-    mutate(individual) {
-        if (individual.length < 2) {
-            return;
-        }
-
-        const idx1 = Math.floor(Math.random() * individual.length);
-        let idx2 = Math.floor(Math.random() * individual.length);
-        while (idx1 === idx2) {
-            idx2 = Math.floor(Math.random() * individual.length);
-        }
-
-        [individual[idx1], individual[idx2]] = [individual[idx2], individual[idx1]];
-    }
-
-    /**
-     * Ejecuta una generación completa (selección, cruce, mutación y evaluación)
-     */
-    async runGeneration() {
-        if (!this.population.length) {
-            return false;
-        }
-
-        const newPopulation = [];
-        newPopulation.push([...this.bestIndividual]);
-
-        while (newPopulation.length < this.populationSize) {
-            const parent1 = this.selectParent();
-            const parent2 = this.selectParent();
-            const child = this.orderCrossover(parent1, parent2);
-
-            if (Math.random() < this.mutationRate) {
-                this.mutate(child);
-            }
-
-            newPopulation.push(child);
-        }
-
-        this.population = newPopulation;
-        this.currentGeneration += 1;
-        this.evaluatePopulation();
-
-        const solved = this.bestConflicts === 0;
-        this.dispatchUpdate();
-
-        if (this.currentGeneration % 10 === 0 || solved) {
-            this.log(`Generación ${this.currentGeneration}: fitness=${this.bestFitness.toFixed(2)} (avg=${this.avgFitness.toFixed(2)}), conflictos=${this.bestConflicts}`);
-        }
-
-        if (this.animationSpeed > 0 && !this.isStepMode) {
-            await this.sleep(this.animationSpeed);
-        }
-
-        return solved;
-    }
-
-    /**
-     * Ejecuta el algoritmo en modo automático
-     */
-    async solve() {
-        if (this.isRunning) {
-            return;
-        }
-
-        this.isRunning = true;
-        this.isStepMode = false;
-        this.currentGeneration = 0;
-
-        this.evaluatePopulation();
-        this.dispatchUpdate();
-
-        this.log('Ejecución del algoritmo evolutivo iniciada');
-        this.log(`Población: ${this.populationSize}, mutación: ${(this.mutationRate * 100).toFixed(1)}%`);
-
-        while (this.isRunning && this.currentGeneration < this.maxGenerations) {
-            const solved = await this.runGeneration();
-            if (solved) {
-                this.isRunning = false;
-                this.finish(true);
-                return;
-            }
-        }
-
-        if (!this.isRunning) {
-            return;
-        }
-
-        if (this.currentGeneration >= this.maxGenerations) {
-            this.log(`Máximo de generaciones alcanzado (${this.maxGenerations}).`);
-            this.finish(false);
-        }
-    }
-
-    /**
-     * Ejecuta una única generación en modo paso a paso
-     */
-    async step() {
-        if (this.isRunning && !this.isStepMode) {
-            return;
-        }
-
-        this.isStepMode = true;
-        this.isRunning = true;
-
-        const solved = await this.runGeneration();
-        this.isRunning = false;
-
-        if (solved) {
-            this.finish(true);
-        }
-    }
-
-    /**
-     * Detiene la ejecución en curso
-     */
-    stop() {
-        if (!this.isRunning) {
-            return;
-        }
-
-        this.isRunning = false;
-        this.isStepMode = false;
-        this.log('Ejecución detenida por el usuario');
-    }
-
-    /**
-     * Reinicia el solver con nuevos individuos aleatorios
-     */
-    reset() {
-        this.stop();
-        this.initialize(this.config);
-        this.log('Población reiniciada');
-    }
-
-    /**
-     * Devuelve el mejor tablero conocido
-     */
-    getBoard() {
-        return [...this.bestIndividual];
-    }
-
-    /**
-     * Conflictos del mejor individuo
-     */
-    getConflicts() {
-        return this.bestConflicts;
-    }
-
-    /**
-     * Fitness del mejor individuo
-     */
-    getCurrentFitness() {
-        return this.bestFitness;
-    }
-
-    /**
-     * Iteraciones/generaciones acumuladas
-     */
-    getIterations() {
-        return this.currentGeneration;
-    }
-
-    /**
-     * Determina si el algoritmo está ejecutándose
-     */
-    isExecuting() {
-        return this.isRunning;
-    }
-
-    /**
-     * Eficiencia relativa al máximo de generaciones permitido
-     */
-    getEfficiency() {
-        if (!this.maxGenerations) {
-            return '-';
-        }
-        const remaining = Math.max(0, this.maxGenerations - this.currentGeneration);
-        return `${((remaining / this.maxGenerations) * 100).toFixed(1)}%`;
-    }
-
-    /**
-     * Estadísticas en formato amigable para la UI
-     */
-    getPerformanceStats() {
-        return {
-            conflicts: this.bestConflicts,
-            generations: this.currentGeneration,
-            iterations: this.currentGeneration,
-            bestFitness: this.bestFitness,
-            avgFitness: this.avgFitness,
-            mutationRate: this.mutationRate,
-            efficiency: this.getEfficiency(),
-            solutionFound: this.bestConflicts === 0,
-            board: [...this.bestIndividual]
-        };
-    }
-
-    /**
-     * Registra callbacks externos
-     */
-    setCallbacks(callbacks) {
-        this.callbacks = { ...this.callbacks, ...callbacks };
-    }
-
-    /**
-     * Envía una actualización al exterior
-     */
-    dispatchUpdate() {
-        if (!this.callbacks.onUpdate) {
-            return;
-        }
-
-        this.callbacks.onUpdate({
-            board: [...this.bestIndividual],
-            conflicts: this.bestConflicts,
-            generation: this.currentGeneration,
-            fitness: this.bestFitness,
-            bestFitness: this.bestFitness,
-            avgFitness: this.avgFitness,
-            mutationRate: this.mutationRate
-        });
-    }
-
-    /**
-     * Finaliza la ejecución y notifica resultado
-     */
-    finish(success) {
-        this.isRunning = false;
-        this.isStepMode = false;
-        if (this.callbacks.onComplete) {
-            this.callbacks.onComplete(success, this.currentGeneration);
-        }
-    }
-
-    /**
-     * Utilidad para dormir asincrónicamente
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
-    /**
-     * Escribe mensajes en el log externo si existe
-     */
-    log(message) {
-        if (this.callbacks.onLog) {
-            this.callbacks.onLog(message);
-        }
-    }
-}
-
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = NQueensSolver;
-}
+﻿/**
+ * Algoritmo evolutivo (genético) para resolver el problema de las N-Reinas.
+ * Cada individuo representa una permutación de tamaño N donde el índice es la columna
+ * y el valor es la fila donde se coloca una reina. De esta forma se garantizan
+ * cero conflictos por filas y columnas; únicamente se penalizan conflictos diagonales
+ * (y, según la variante elegida, ataques de caballo o restricciones; ver QUEEN_VARIANTS).
+ */
+
+/**
+ * Generador pseudoaleatorio determinista (mulberry32).
+ * Con la misma semilla produce siempre la misma secuencia de números.
+ */
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Genera una semilla aleatoria de 32 bits
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Convierte números o cadenas en una semilla entera de 32 bits
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed);
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // Hash FNV-1a para semillas de texto
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Número real uniforme en [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Entero uniforme en [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Estado interno del generador (para reanudar la secuencia)
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restaura un estado obtenido con getState()
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+/**
+ * Contadores de reinas por diagonal y antidiagonal de un tablero.
+ * El número de pares en conflicto es la suma de C(k, 2) sobre cada diagonal con k reinas,
+ * lo que permite evaluar un tablero en O(N) y un intercambio de columnas en O(1).
+ * El intercambio en O(1) lo usan la mutación dirigida por conflictos y la búsqueda local;
+ * los hijos del genético salen del cruce y se evalúan completos en O(N).
+ * Para la reina del índice i en la fila board[i]: diagonal = i - board[i] + N - 1,
+ * antidiagonal = i + board[i]; con `wrap` las diagonales son toroidales y dan la vuelta
+ * al tablero (módulo N), de modo que un par puede compartir las dos y cuenta dos veces.
+ * Los índices con valor negativo se consideran vacíos (tableros parciales, p. ej.
+ * durante el backtracking).
+ */
+class DiagonalConflictCounter {
+    constructor(board, { wrap = false } = {}) {
+        this.board = [...board];
+        this.N = board.length;
+        this.wrap = wrap;
+        const size = wrap ? this.N : Math.max(0, 2 * this.N - 1);
+        this.diagonals = new Int32Array(size);
+        this.antiDiagonals = new Int32Array(size);
+        this.conflicts = 0;
+
+        for (let i = 0; i < this.N; i++) {
+            if (this.board[i] >= 0) {
+                this.conflicts += this.addQueen(i, this.board[i]);
+            }
+        }
+    }
+
+    /**
+     * Índice de la diagonal de la casilla (índice, fila)
+     */
+    diagonalOf(index, row) {
+        return this.wrap ? ((index - row) % this.N + this.N) % this.N : index - row + this.N - 1;
+    }
+
+    /**
+     * Índice de la antidiagonal de la casilla (índice, fila)
+     */
+    antiDiagonalOf(index, row) {
+        return this.wrap ? (index + row) % this.N : index + row;
+    }
+
+    /**
+     * Cuenta los conflictos de un tablero en O(N)
+     */
+    static count(board) {
+        return new DiagonalConflictCounter(board).conflicts;
+    }
+
+    /**
+     * Contadores por diagonal de un tablero en formato serializable
+     */
+    static analyze(board) {
+        return new DiagonalConflictCounter(board).getConflictData();
+    }
+
+    /**
+     * Datos de conflictos para la UI: reinas por diagonal y filas en conflicto
+     */
+    getConflictData() {
+        return {
+            conflicts: this.conflicts,
+            rowConflicts: this.board.map((row, index) => (row >= 0 && this.queenConflicts(index) > 0 ? 1 : 0)),
+            diagonals: Array.from(this.diagonals),
+            antiDiagonals: Array.from(this.antiDiagonals)
+        };
+    }
+
+    /**
+     * Añade una reina a los contadores y devuelve los pares de conflicto nuevos
+     */
+    addQueen(index, row) {
+        return this.diagonals[this.diagonalOf(index, row)]++ + this.antiDiagonals[this.antiDiagonalOf(index, row)]++;
+    }
+
+    /**
+     * Retira una reina de los contadores y devuelve los pares de conflicto eliminados
+     */
+    removeQueen(index, row) {
+        return --this.diagonals[this.diagonalOf(index, row)] + --this.antiDiagonals[this.antiDiagonalOf(index, row)];
+    }
+
+    /**
+     * Variación de conflictos si se intercambian las filas de los índices i y j (O(1))
+     */
+    swapDelta(i, j) {
+        if (i === j) {
+            return 0;
+        }
+
+        const rowI = this.board[i];
+        const rowJ = this.board[j];
+
+        let delta = -this.removeQueen(i, rowI) - this.removeQueen(j, rowJ);
+        delta += this.addQueen(i, rowJ) + this.addQueen(j, rowI);
+
+        this.removeQueen(i, rowJ);
+        this.removeQueen(j, rowI);
+        this.addQueen(i, rowI);
+        this.addQueen(j, rowJ);
+
+        return delta;
+    }
+
+    /**
+     * Aplica el intercambio de los índices i y j actualizando los contadores
+     */
+    applySwap(i, j) {
+        const delta = this.swapDelta(i, j);
+        if (i === j) {
+            return delta;
+        }
+
+        const rowI = this.board[i];
+        const rowJ = this.board[j];
+
+        this.removeQueen(i, rowI);
+        this.removeQueen(j, rowJ);
+        this.addQueen(i, rowJ);
+        this.addQueen(j, rowI);
+
+        this.board[i] = rowJ;
+        this.board[j] = rowI;
+        this.conflicts += delta;
+        return delta;
+    }
+
+    /**
+     * Número de reinas con las que choca la reina del índice dado
+     */
+    queenConflicts(index) {
+        const row = this.board[index];
+        return this.diagonals[this.diagonalOf(index, row)] - 1 +
+            this.antiDiagonals[this.antiDiagonalOf(index, row)] - 1;
+    }
+
+    /**
+     * Índices de las reinas que participan en algún conflicto
+     */
+    getConflictingIndices() {
+        const indices = [];
+        for (let i = 0; i < this.N; i++) {
+            if (this.board[i] >= 0 && this.queenConflicts(i) > 0) {
+                indices.push(i);
+            }
+        }
+        return indices;
+    }
+}
+
+/**
+ * Cuenta los pares de reinas a salto de caballo. Con una reina por fila basta mirar las
+ * dos filas siguientes: a una fila de distancia y dos columnas, o a dos filas y una columna.
+ */
+function countKnightPairs(board, flags = null) {
+    let pairs = 0;
+    for (let row = 0; row < board.length; row++) {
+        const col = board[row];
+        if (col < 0) {
+            continue;
+        }
+        for (let step = 1; step <= 2 && row + step < board.length; step++) {
+            const other = board[row + step];
+            if (other >= 0 && Math.abs(other - col) === 3 - step) {
+                pairs++;
+                if (flags) {
+                    flags[row] = 1;
+                    flags[row + step] = 1;
+                }
+            }
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Tipos de ataque en diagonal entre las casillas a y b ({ row, col })
+ */
+function diagonalAttackKinds(a, b, N, wrap) {
+    const kinds = [];
+    const wrapped = value => (wrap ? ((value % N) + N) % N : value);
+    if (wrapped(a.row - a.col) === wrapped(b.row - b.col)) {
+        kinds.push('diagonal');
+    }
+    if (wrapped(a.row + a.col) === wrapped(b.row + b.col)) {
+        kinds.push('antiDiagonal');
+    }
+    return kinds;
+}
+
+/**
+ * Indica si las casillas a y b están a salto de caballo
+ */
+function isKnightMove(a, b) {
+    const rows = Math.abs(a.row - b.row);
+    const cols = Math.abs(a.col - b.col);
+    return (rows === 1 && cols === 2) || (rows === 2 && cols === 1);
+}
+
+/**
+ * Variantes del problema. Los pares en diagonal se cuentan con DiagonalConflictCounter
+ * (toroidal si `wrapsDiagonals`); `countExtraPairs(board, flags)` suma otros ataques propios
+ * de la variante y, si se pasa `flags`, marca las filas atacantes.
+ * `attackKinds(a, b, N)` enumera los ataques (sin contar filas ni columnas) entre dos casillas.
+ * `maxPairs(N)` es el número máximo de pares atacándose con N reinas.
+ */
+const QUEEN_VARIANTS = {
+    classic: {
+        label: 'Clásico',
+        attackKinds: (a, b, N) => diagonalAttackKinds(a, b, N, false),
+        maxPairs: N => (N * (N - 1)) / 2
+    },
+    completion: {
+        label: 'Completar tablero (reinas fijas y casillas bloqueadas)',
+        usesConstraints: true,
+        attackKinds: (a, b, N) => diagonalAttackKinds(a, b, N, false),
+        maxPairs: N => (N * (N - 1)) / 2
+    },
+    toroidal: {
+        label: 'Toroidal (las diagonales dan la vuelta)',
+        wrapsDiagonals: true,
+        attackKinds: (a, b, N) => diagonalAttackKinds(a, b, N, true),
+        // Un par puede compartir las dos diagonales toroidales y cuenta dos veces
+        maxPairs: N => N * (N - 1)
+    },
+    superqueens: {
+        label: 'Superreinas (también saltan como el caballo)',
+        countExtraPairs: countKnightPairs,
+        attackKinds: (a, b, N) => [...diagonalAttackKinds(a, b, N, false), ...(isKnightMove(a, b) ? ['knight'] : [])],
+        // Un par no puede estar a la vez en diagonal y a salto de caballo
+        maxPairs: N => (N * (N - 1)) / 2
+    }
+};
+
+/**
+ * Reglas de una variante para un tablero de tamaño N. Los conflictos son los pares que
+ * se atacan más, en el modo completar, una penalización por cada reina sobre una casilla
+ * bloqueada o fuera de su posición fija. `repair` devuelve las reinas fijas a su sitio
+ * tras un cruce o una mutación intercambiando columnas, de modo que se conserva la permutación.
+ */
+class QueensRules {
+    constructor(N, { variant = 'classic', fixedQueens = [], blockedCells = [] } = {}) {
+        this.N = N;
+        this.warnings = [];
+        this.variantKey = QUEEN_VARIANTS[variant] ? variant : 'classic';
+        this.variant = QUEEN_VARIANTS[this.variantKey];
+        if (!QUEEN_VARIANTS[variant]) {
+            this.warnings.push(`Variante desconocida "${variant}", se usa la clásica`);
+        }
+
+        this.fixedColumns = new Int32Array(N).fill(-1);
+        this.fixedQueens = [];
+        this.blocked = new Set();
+        if (this.variant.usesConstraints) {
+            this.addConstraints(fixedQueens || [], blockedCells || []);
+        }
+
+        if (this.variantKey === 'toroidal' && (N % 2 === 0 || N % 3 === 0)) {
+            this.warnings.push(`El problema toroidal no tiene solución para N=${N} (N no puede ser múltiplo de 2 ni de 3)`);
+        }
+        if (this.variantKey === 'superqueens' && N < 10) {
+            this.warnings.push(`El problema de las superreinas no tiene solución para N=${N} (requiere N ≥ 10)`);
+        }
+    }
+
+    /**
+     * Valida y guarda las reinas fijas y las casillas bloqueadas
+     */
+    addConstraints(fixedQueens, blockedCells) {
+        const inBoard = ({ row, col }) => Number.isInteger(row) && Number.isInteger(col) &&
+            row >= 0 && row < this.N && col >= 0 && col < this.N;
+        const usedColumns = new Set();
+
+        fixedQueens.forEach(cell => {
+            if (!inBoard(cell)) {
+                this.warnings.push(`Reina fija fuera del tablero ignorada: (${cell.row}, ${cell.col})`);
+            } else if (this.fixedColumns[cell.row] !== -1 || usedColumns.has(cell.col)) {
+                this.warnings.push(`Reina fija en (${cell.row}, ${cell.col}) ignorada: su fila o su columna ya tiene otra reina fija`);
+            } else {
+                this.fixedColumns[cell.row] = cell.col;
+                usedColumns.add(cell.col);
+                this.fixedQueens.push({ row: cell.row, col: cell.col });
+            }
+        });
+
+        blockedCells.forEach(cell => {
+            if (!inBoard(cell)) {
+                this.warnings.push(`Casilla bloqueada fuera del tablero ignorada: (${cell.row}, ${cell.col})`);
+            } else if (this.isFixed(cell.row, cell.col)) {
+                this.warnings.push(`La casilla (${cell.row}, ${cell.col}) tiene una reina fija y no se puede bloquear`);
+            } else {
+                this.blocked.add(cell.row * this.N + cell.col);
+            }
+        });
+    }
+
+    /**
+     * Indica si la variante tiene reinas fijas o casillas bloqueadas
+     */
+    hasConstraints() {
+        return this.fixedQueens.length > 0 || this.blocked.size > 0;
+    }
+
+    /**
+     * Indica si (fila, columna) es una reina fija
+     */
+    isFixed(row, col) {
+        return this.fixedColumns[row] === col;
+    }
+
+    /**
+     * Indica si la casilla está bloqueada
+     */
+    isBlocked(row, col) {
+        return this.blocked.has(row * this.N + col);
+    }
+
+    /**
+     * Casillas bloqueadas como lista de { row, col }
+     */
+    getBlockedCells() {
+        return [...this.blocked].map(key => ({ row: Math.floor(key / this.N), col: key % this.N }));
+    }
+
+    /**
+     * Restricciones incumplidas: reinas en casillas bloqueadas y reinas fijas ausentes o movidas
+     */
+    countViolations(board, flags = null) {
+        if (!this.hasConstraints()) {
+            return 0;
+        }
+
+        let violations = 0;
+        for (let row = 0; row < board.length; row++) {
+            const col = board[row];
+            const misplaced = this.fixedColumns[row] !== -1 && col !== this.fixedColumns[row];
+            if ((col >= 0 && this.isBlocked(row, col)) || misplaced) {
+                violations++;
+                if (flags && col >= 0) {
+                    flags[row] = 1;
+                }
+            }
+        }
+        return violations;
+    }
+
+    /**
+     * Conflictos máximos posibles: todos los pares atacándose y, con restricciones,
+     * una penalización por fila
+     */
+    maxConflicts() {
+        return this.variant.maxPairs(this.N) + (this.hasConstraints() ? this.N : 0);
+    }
+
+    /**
+     * Indica si los conflictos son solo los pares en diagonal clásicos
+     */
+    isClassic() {
+        return this.variantKey === 'classic' || (this.variantKey === 'completion' && !this.hasConstraints());
+    }
+
+    /**
+     * Conflictos de un tablero según la variante
+     */
+    count(board) {
+        return this.countPairs(this.createCounter(board), board) + this.countViolations(board);
+    }
+
+    /**
+     * Contadores por diagonal de un tablero (toroidales si la variante da la vuelta)
+     */
+    createCounter(board) {
+        return new DiagonalConflictCounter(board, { wrap: Boolean(this.variant.wrapsDiagonals) });
+    }
+
+    /**
+     * Pares que se atacan según la variante; con `flags` marca las filas atacantes
+     */
+    countPairs(counter, board, flags = null) {
+        if (flags) {
+            counter.getConflictingIndices().forEach(row => {
+                flags[row] = 1;
+            });
+        }
+        const extra = this.variant.countExtraPairs ? this.variant.countExtraPairs(board, flags) : 0;
+        return counter.conflicts + extra;
+    }
+
+    /**
+     * Conflictos, filas en conflicto (incluidas columnas repetidas de tableros editados a mano)
+     * y reinas por diagonal y antidiagonal de la variante
+     */
+    analyze(board) {
+        const flags = new Uint8Array(board.length);
+        const counter = this.createCounter(board);
+        const conflicts = this.countPairs(counter, board, flags) + this.countViolations(board, flags);
+
+        const rowOfColumn = new Map();
+        board.forEach((col, row) => {
+            if (col < 0) {
+                return;
+            }
+            if (rowOfColumn.has(col)) {
+                flags[row] = 1;
+                flags[rowOfColumn.get(col)] = 1;
+            } else {
+                rowOfColumn.set(col, row);
+            }
+        });
+
+        return {
+            conflicts,
+            rowConflicts: Array.from(flags),
+            diagonals: Array.from(counter.diagonals),
+            antiDiagonals: Array.from(counter.antiDiagonals)
+        };
+    }
+
+    /**
+     * Ataques entre dos casillas: fila, columna y los propios de la variante
+     */
+    attackKinds(a, b) {
+        if (a.row === b.row && a.col === b.col) {
+            return [];
+        }
+        const kinds = this.variant.attackKinds(a, b, this.N);
+        if (a.row === b.row) {
+            kinds.unshift('row');
+        }
+        if (a.col === b.col) {
+            kinds.unshift('column');
+        }
+        return kinds;
+    }
+
+    /**
+     * Reinas que atacan a la de una fila, con los tipos de ataque (O(N))
+     */
+    attackersOf(board, row) {
+        const queen = { row, col: board[row] };
+        if (!(queen.col >= 0)) {
+            return [];
+        }
+        const attackers = [];
+        board.forEach((col, other) => {
+            const kinds = col >= 0 ? this.attackKinds(queen, { row: other, col }) : [];
+            if (kinds.length) {
+                attackers.push({ row: other, col, kinds });
+            }
+        });
+        return attackers;
+    }
+
+    /**
+     * Pares de reinas que se atacan, cada uno una sola vez (O(N²))
+     */
+    conflictPairs(board) {
+        const pairs = [];
+        board.forEach((col, row) => {
+            this.attackersOf(board, row)
+                .filter(attacker => attacker.row > row)
+                .forEach(attacker => pairs.push({
+                    from: { row, col },
+                    to: { row: attacker.row, col: attacker.col },
+                    kinds: attacker.kinds
+                }));
+        });
+        return pairs;
+    }
+
+    /**
+     * Casillas que ataca una reina situada en (fila, columna)
+     */
+    attackedCells(row, col) {
+        const cells = [];
+        for (let r = 0; r < this.N; r++) {
+            for (let c = 0; c < this.N; c++) {
+                if (this.attackKinds({ row, col }, { row: r, col: c }).length) {
+                    cells.push({ row: r, col: c });
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Conflictos que aporta la reina de una fila: un punto por cada ataque en que participa
+     * (columnas repetidas incluidas) más la penalización si incumple una restricción
+     */
+    queenContribution(board, row) {
+        const attackers = this.attackersOf(board, row);
+        const col = board[row];
+        const misplaced = this.fixedColumns[row] !== -1 && col !== this.fixedColumns[row];
+        const violation = (col >= 0 && this.isBlocked(row, col)) || misplaced;
+        return {
+            attackers,
+            violation,
+            total: attackers.reduce((sum, attacker) => sum + attacker.kinds.length, 0) + (violation ? 1 : 0)
+        };
+    }
+
+    /**
+     * Devuelve cada reina fija a su columna intercambiándola con la fila que la ocupa
+     */
+    repair(individual) {
+        for (const { row, col } of this.fixedQueens) {
+            if (individual[row] === col) {
+                continue;
+            }
+            const other = individual.indexOf(col);
+            if (other >= 0) {
+                individual[other] = individual[row];
+            }
+            individual[row] = col;
+        }
+        return individual;
+    }
+
+    /**
+     * Descripción legible de la variante y sus restricciones
+     */
+    describe() {
+        if (!this.variant.usesConstraints) {
+            return this.variant.label;
+        }
+        return `${this.variant.label}: ${this.fixedQueens.length} reinas fijas, ${this.blocked.size} casillas bloqueadas`;
+    }
+}
+
+/**
+ * Conjunto de soluciones distintas agrupadas por clases de simetría.
+ * Cada solución se reduce a su forma canónica: la menor (en orden lexicográfico)
+ * de sus 8 transformaciones por rotaciones y reflexiones del tablero. Dos soluciones
+ * con la misma forma canónica son copias simétricas de la misma solución fundamental.
+ */
+class SolutionArchive {
+    constructor() {
+        this.solutions = [];
+        this.keys = new Set();
+        this.classes = new Map();
+    }
+
+    /**
+     * Gira el tablero 90°: la reina (i, board[i]) pasa a (board[i], N - 1 - i)
+     */
+    static rotate(board) {
+        const N = board.length;
+        const rotated = new Array(N);
+        for (let i = 0; i < N; i++) {
+            rotated[board[i]] = N - 1 - i;
+        }
+        return rotated;
+    }
+
+    /**
+     * Refleja el tablero: la reina (i, board[i]) pasa a (i, N - 1 - board[i])
+     */
+    static reflect(board) {
+        const N = board.length;
+        return board.map(value => N - 1 - value);
+    }
+
+    /**
+     * Las 8 transformaciones del tablero (4 rotaciones de él y de su reflejo)
+     */
+    static symmetries(board) {
+        const result = [];
+        let current = [...board];
+        let mirrored = SolutionArchive.reflect(board);
+
+        for (let i = 0; i < 4; i++) {
+            result.push(current, mirrored);
+            current = SolutionArchive.rotate(current);
+            mirrored = SolutionArchive.rotate(mirrored);
+        }
+        return result;
+    }
+
+    /**
+     * Forma canónica: la menor transformación en orden lexicográfico
+     */
+    static canonicalForm(board) {
+        return SolutionArchive.symmetries(board).reduce((best, candidate) => {
+            for (let i = 0; i < candidate.length; i++) {
+                if (candidate[i] !== best[i]) {
+                    return candidate[i] < best[i] ? candidate : best;
+                }
+            }
+            return best;
+        });
+    }
+
+    /**
+     * Número de soluciones distintas
+     */
+    get size() {
+        return this.solutions.length;
+    }
+
+    /**
+     * Número de soluciones fundamentales (clases de simetría distintas)
+     */
+    get fundamentalCount() {
+        return this.classes.size;
+    }
+
+    /**
+     * Indica si la solución ya está registrada
+     */
+    has(board) {
+        return this.keys.has(board.join(','));
+    }
+
+    /**
+     * Registra una solución; devuelve su entrada o null si ya existía
+     */
+    add(board) {
+        const key = board.join(',');
+        if (this.keys.has(key)) {
+            return null;
+        }
+
+        const canonical = SolutionArchive.canonicalForm(board);
+        const canonicalKey = canonical.join(',');
+        let symmetryClass = this.classes.get(canonicalKey);
+        const isFundamental = !symmetryClass;
+
+        if (!symmetryClass) {
+            symmetryClass = { index: this.classes.size, canonical, count: 0 };
+            this.classes.set(canonicalKey, symmetryClass);
+        }
+        symmetryClass.count++;
+        this.keys.add(key);
+
+        const entry = {
+            index: this.solutions.length,
+            board: [...board],
+            canonical: [...canonical],
+            classIndex: symmetryClass.index,
+            isFundamental
+        };
+        this.solutions.push(entry);
+        return entry;
+    }
+}
+
+/**
+ * Elige un índice a partir de pesos acumulados (búsqueda binaria)
+ */
+function pickCumulative(cumulative, target) {
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (cumulative[mid] > target) {
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Pesos acumulados; si todos los pesos son nulos se usan pesos uniformes
+ */
+function cumulativeWeights(weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const cumulative = new Array(weights.length);
+    let acc = 0;
+    for (let i = 0; i < weights.length; i++) {
+        acc += total > 0 ? weights[i] : 1;
+        cumulative[i] = acc;
+    }
+    return cumulative;
+}
+
+/**
+ * Muestreo proporcional a los pesos: ruleta (una tirada por padre) o SUS (punteros equiespaciados)
+ */
+function proportionalSelect(weights, count, random, stochasticUniversal) {
+    const cumulative = cumulativeWeights(weights);
+    const total = cumulative[cumulative.length - 1];
+    const selected = [];
+
+    if (!stochasticUniversal) {
+        for (let i = 0; i < count; i++) {
+            selected.push(pickCumulative(cumulative, random.next() * total));
+        }
+        return selected;
+    }
+
+    const spacing = total / count;
+    const start = random.next() * spacing;
+    for (let i = 0; i < count; i++) {
+        selected.push(pickCumulative(cumulative, start + i * spacing));
+    }
+
+    // SUS devuelve los índices ordenados; se barajan para no cruzar siempre vecinos
+    for (let i = selected.length - 1; i > 0; i--) {
+        const j = random.nextInt(i + 1);
+        [selected[i], selected[j]] = [selected[j], selected[i]];
+    }
+    return selected;
+}
+
+/**
+ * Registro de estrategias de selección de padres.
+ * Cada estrategia recibe la información de fitness de la población, el número de padres
+ * a elegir, el generador aleatorio y las opciones del solver, y devuelve índices.
+ */
+const SELECTION_STRATEGIES = {
+    tournament: {
+        label: 'Torneo',
+        describe: (options) => options.tournamentSize === 2 ?
+            'Torneo binario' : `Torneo de ${options.tournamentSize} individuos`,
+        select(fitnessInfo, count, random, options) {
+            const tournamentSize = Math.max(1, Math.min(options.tournamentSize, fitnessInfo.length));
+            const selected = [];
+
+            for (let n = 0; n < count; n++) {
+                let bestCandidateIndex = random.nextInt(fitnessInfo.length);
+                for (let i = 1; i < tournamentSize; i++) {
+                    const challengerIndex = random.nextInt(fitnessInfo.length);
+                    if (fitnessInfo[challengerIndex].fitness > fitnessInfo[bestCandidateIndex].fitness) {
+                        bestCandidateIndex = challengerIndex;
+                    }
+                }
+                selected.push(bestCandidateIndex);
+            }
+
+            return selected;
+        }
+    },
+    roulette: {
+        label: 'Ruleta',
+        describe: () => 'Ruleta (proporcional al fitness)',
+        select(fitnessInfo, count, random) {
+            return proportionalSelect(fitnessInfo.map(info => info.fitness), count, random, false);
+        }
+    },
+    rank: {
+        label: 'Por ranking',
+        describe: () => 'Por ranking lineal',
+        select(fitnessInfo, count, random) {
+            // El peor individuo recibe peso 1 y el mejor peso n
+            const order = fitnessInfo
+                .map((info, index) => index)
+                .sort((a, b) => fitnessInfo[a].fitness - fitnessInfo[b].fitness);
+            const weights = new Array(fitnessInfo.length);
+            order.forEach((index, rank) => {
+                weights[index] = rank + 1;
+            });
+            return proportionalSelect(weights, count, random, false);
+        }
+    },
+    sus: {
+        label: 'Muestreo universal estocástico',
+        describe: () => 'Muestreo universal estocástico (SUS)',
+        select(fitnessInfo, count, random) {
+            return proportionalSelect(fitnessInfo.map(info => info.fitness), count, random, true);
+        }
+    }
+};
+
+/**
+ * Segmento aleatorio [start, end] con start < end (salvo tableros de tamaño 1)
+ */
+function randomSegment(length, random) {
+    let start = random.nextInt(length);
+    let end = random.nextInt(length);
+
+    if (start === end) {
+        end = (start + 1) % length;
+    }
+    if (start > end) {
+        [start, end] = [end, start];
+    }
+
+    return [start, end];
+}
+
+/**
+ * Posición de cada valor dentro de una permutación
+ */
+function positionsOf(permutation) {
+    const positions = new Array(permutation.length);
+    for (let i = 0; i < permutation.length; i++) {
+        positions[permutation[i]] = i;
+    }
+    return positions;
+}
+
+/**
+ * Registro de operadores de cruce para permutaciones.
+ * Cada operador recibe dos padres y el generador aleatorio y devuelve un hijo
+ * que siempre es una permutación válida.
+ */
+const CROSSOVER_OPERATORS = {
+    ox: {
+        label: 'Order Crossover (OX)',
+        cross(parent1, parent2, random) {
+            const length = parent1.length;
+            const child = Array(length).fill(null);
+            const used = new Array(length).fill(false);
+            const [start, end] = randomSegment(length, random);
+
+            for (let i = start; i <= end; i++) {
+                child[i] = parent1[i];
+                used[parent1[i]] = true;
+            }
+
+            let childIndex = (end + 1) % length;
+            for (let i = 0; i < length; i++) {
+                const candidate = parent2[(end + 1 + i) % length];
+                if (!used[candidate]) {
+                    child[childIndex] = candidate;
+                    used[candidate] = true;
+                    childIndex = (childIndex + 1) % length;
+                }
+            }
+
+            return child;
+        }
+    },
+    pmx: {
+        label: 'Partially Mapped Crossover (PMX)',
+        cross(parent1, parent2, random) {
+            const length = parent1.length;
+            const child = Array(length).fill(null);
+            const positionsInParent2 = positionsOf(parent2);
+            const [start, end] = randomSegment(length, random);
+
+            for (let i = start; i <= end; i++) {
+                child[i] = parent1[i];
+            }
+
+            // Los valores del segmento de parent2 que faltan se colocan siguiendo el mapeo
+            const inSegment = new Array(length).fill(false);
+            for (let i = start; i <= end; i++) {
+                inSegment[parent1[i]] = true;
+            }
+            for (let i = start; i <= end; i++) {
+                const value = parent2[i];
+                if (inSegment[value]) {
+                    continue;
+                }
+
+                let position = i;
+                while (position >= start && position <= end) {
+                    position = positionsInParent2[parent1[position]];
+                }
+                child[position] = value;
+            }
+
+            for (let i = 0; i < length; i++) {
+                if (child[i] === null) {
+                    child[i] = parent2[i];
+                }
+            }
+
+            return child;
+        }
+    },
+    cx: {
+        label: 'Cycle Crossover (CX)',
+        cross(parent1, parent2) {
+            const length = parent1.length;
+            const child = Array(length).fill(null);
+            const positionsInParent1 = positionsOf(parent1);
+            let fromParent1 = true;
+
+            // Cada ciclo conserva las posiciones de uno de los padres, alternando
+            for (let startIndex = 0; startIndex < length; startIndex++) {
+                if (child[startIndex] !== null) {
+                    continue;
+                }
+
+                const source = fromParent1 ? parent1 : parent2;
+                let index = startIndex;
+                do {
+                    child[index] = source[index];
+                    index = positionsInParent1[parent2[index]];
+                } while (index !== startIndex);
+
+                fromParent1 = !fromParent1;
+            }
+
+            return child;
+        }
+    },
+    pbx: {
+        label: 'Position-Based Crossover (PBX)',
+        cross(parent1, parent2, random) {
+            const length = parent1.length;
+            const child = Array(length).fill(null);
+            const used = new Array(length).fill(false);
+
+            for (let i = 0; i < length; i++) {
+                if (random.next() < 0.5) {
+                    child[i] = parent1[i];
+                    used[parent1[i]] = true;
+                }
+            }
+
+            let parent2Index = 0;
+            for (let i = 0; i < length; i++) {
+                if (child[i] !== null) {
+                    continue;
+                }
+                while (used[parent2[parent2Index]]) {
+                    parent2Index++;
+                }
+                child[i] = parent2[parent2Index];
+                used[parent2[parent2Index]] = true;
+            }
+
+            return child;
+        }
+    },
+    erx: {
+        label: 'Edge Recombination (ERX)',
+        cross(parent1, parent2, random) {
+            const length = parent1.length;
+            const neighbors = Array.from({ length }, () => new Set());
+
+            [parent1, parent2].forEach(parent => {
+                for (let i = 0; i < length; i++) {
+                    const value = parent[i];
+                    if (length > 1) {
+                        neighbors[value].add(parent[(i + length - 1) % length]);
+                        neighbors[value].add(parent[(i + 1) % length]);
+                    }
+                }
+            });
+
+            // Vecinos aún no usados de cada gen; al usar un gen solo cambian los contadores de sus vecinos
+            const neighborCount = Int32Array.from(neighbors, set => set.size);
+            const used = new Array(length).fill(false);
+
+            // Genes pendientes en un array con su posición, para quitarlos y elegir uno al azar en O(1)
+            const child = [];
+            const remaining = [...parent1];
+            const position = new Int32Array(length);
+            remaining.forEach((value, index) => {
+                position[value] = index;
+            });
+            let current = parent1[0];
+
+            while (child.length < length) {
+                child.push(current);
+                used[current] = true;
+                const last = remaining.pop();
+                if (last !== current) {
+                    remaining[position[current]] = last;
+                    position[last] = position[current];
+                }
+                // Las listas de vecinos son simétricas: el gen usado solo cuenta para sus vecinos
+                neighbors[current].forEach(value => {
+                    neighborCount[value] -= 1;
+                });
+
+                if (!remaining.length) {
+                    break;
+                }
+
+                // Siguiente gen: el vecino con menos vecinos propios (empates al azar)
+                let candidates = [];
+                let fewest = Infinity;
+                neighbors[current].forEach(value => {
+                    if (used[value]) {
+                        return;
+                    }
+                    const size = neighborCount[value];
+                    if (size < fewest) {
+                        fewest = size;
+                        candidates = [value];
+                    } else if (size === fewest) {
+                        candidates.push(value);
+                    }
+                });
+
+                current = candidates.length ?
+                    candidates[random.nextInt(candidates.length)] :
+                    remaining[random.nextInt(remaining.length)];
+            }
+
+            return child;
+        }
+    }
+};
+
+/**
+ * Dos índices distintos al azar, ordenados de menor a mayor
+ */
+function randomPair(length, random) {
+    const idx1 = random.nextInt(length);
+    let idx2 = random.nextInt(length);
+    while (idx1 === idx2) {
+        idx2 = random.nextInt(length);
+    }
+    return idx1 < idx2 ? [idx1, idx2] : [idx2, idx1];
+}
+
+/**
+ * Registro de operadores de mutación. Todos modifican el individuo en el sitio
+ * y conservan la propiedad de permutación. `mutate` recibe también las reglas de la
+ * variante (QueensRules) para los operadores que evalúan conflictos.
+ */
+const MUTATION_OPERATORS = {
+    swap: {
+        label: 'Intercambio de columnas',
+        mutate(individual, random) {
+            const [idx1, idx2] = randomPair(individual.length, random);
+            [individual[idx1], individual[idx2]] = [individual[idx2], individual[idx1]];
+        }
+    },
+    inversion: {
+        label: 'Inversión de segmento',
+        mutate(individual, random) {
+            let [start, end] = randomPair(individual.length, random);
+            while (start < end) {
+                [individual[start], individual[end]] = [individual[end], individual[start]];
+                start++;
+                end--;
+            }
+        }
+    },
+    scramble: {
+        label: 'Mezcla de segmento',
+        mutate(individual, random) {
+            const [start, end] = randomPair(individual.length, random);
+            for (let i = end; i > start; i--) {
+                const j = start + random.nextInt(i - start + 1);
+                [individual[i], individual[j]] = [individual[j], individual[i]];
+            }
+        }
+    },
+    insertion: {
+        label: 'Inserción',
+        mutate(individual, random) {
+            // Extrae un gen y lo reinserta en otra posición desplazando los intermedios
+            const [first, second] = randomPair(individual.length, random);
+            const [from, to] = random.next() < 0.5 ? [first, second] : [second, first];
+            const [value] = individual.splice(from, 1);
+            individual.splice(to, 0, value);
+        }
+    },
+    conflict: {
+        label: 'Intercambio dirigido por conflictos',
+        mutate(individual, random, rules = null) {
+            if (rules && !rules.isClassic()) {
+                MUTATION_OPERATORS.conflict.mutateWithRules(individual, random, rules);
+                return;
+            }
+
+            const counter = new DiagonalConflictCounter(individual);
+            MUTATION_OPERATORS.conflict.swapBest(individual, random, counter.getConflictingIndices(),
+                index => Array.from(individual.keys()).filter(other => other !== index),
+                (index, other) => counter.swapDelta(index, other));
+        },
+
+        /**
+         * Variantes con otras reglas: se puntúa cada intercambio con la variante y no se
+         * mueven las filas con reina fija
+         */
+        mutateWithRules(individual, random, rules) {
+            const free = Array.from(individual.keys()).filter(row => rules.fixedColumns[row] === -1);
+            const { rowConflicts } = rules.analyze(individual);
+            const current = rules.count(individual);
+
+            MUTATION_OPERATORS.conflict.swapBest(individual, random, free.filter(row => rowConflicts[row]),
+                index => free.filter(other => other !== index),
+                (index, other) => {
+                    [individual[index], individual[other]] = [individual[other], individual[index]];
+                    const delta = rules.count(individual) - current;
+                    [individual[index], individual[other]] = [individual[other], individual[index]];
+                    return delta;
+                });
+        },
+
+        /**
+         * Mueve una reina en conflicto al intercambio que más reduce los conflictos
+         * (o hace un intercambio aleatorio si no hay ninguna)
+         */
+        swapBest(individual, random, conflicting, partnersOf, swapDelta) {
+            if (!conflicting.length) {
+                MUTATION_OPERATORS.swap.mutate(individual, random);
+                return;
+            }
+
+            const index = conflicting[random.nextInt(conflicting.length)];
+            let bestDelta = Infinity;
+            let candidates = [];
+            partnersOf(index).forEach(other => {
+                const delta = swapDelta(index, other);
+                if (delta < bestDelta) {
+                    bestDelta = delta;
+                    candidates = [other];
+                } else if (delta === bestDelta) {
+                    candidates.push(other);
+                }
+            });
+
+            if (!candidates.length) {
+                return;
+            }
+            const other = candidates[random.nextInt(candidates.length)];
+            [individual[index], individual[other]] = [individual[other], individual[index]];
+        }
+    }
+};
+
+/**
+ * Planes de adaptación de la tasa de mutación. `update` recibe el estado de la generación
+ * (tasa actual y base, límites, generaciones sin mejora, diversidad y ratio de éxito)
+ * y devuelve la nueva tasa.
+ */
+const MUTATION_SCHEDULES = {
+    fixed: {
+        label: 'Fija',
+        update: (context) => context.rate
+    },
+    stagnation: {
+        label: 'Sube con estancamiento',
+        update(context) {
+            if (context.improved) {
+                return context.baseRate;
+            }
+            if (context.stagnantGenerations >= context.window) {
+                return Math.min(context.maxRate, context.rate * 1.1);
+            }
+            return context.rate;
+        }
+    },
+    diversity: {
+        label: 'Según diversidad',
+        requiresDiversity: true,
+        update(context) {
+            // Población diversa -> tasa base; población convergida -> tasa máxima
+            return context.baseRate + (context.maxRate - context.baseRate) * (1 - context.diversity);
+        }
+    },
+    oneFifth: {
+        label: 'Regla del 1/5 de éxito',
+        tracksSuccess: true,
+        update(context) {
+            if (context.generation % context.window !== 0 || !context.attempts) {
+                return context.rate;
+            }
+            const successRatio = context.successes / context.attempts;
+            if (successRatio > 0.2) {
+                return Math.min(context.maxRate, context.rate / 0.85);
+            }
+            if (successRatio < 0.2) {
+                return Math.max(context.minRate, context.rate * 0.85);
+            }
+            return context.rate;
+        }
+    }
+};
+
+/**
+ * Eventos que publica NQueensSolver y su contenido:
+ * - generation: el payload de cada actualización (el mismo que recibe onUpdate)
+ * - improvement: { generation, bestFitness, previousFitness, conflicts, board } al mejorar el mejor individuo
+ * - stagnation: { generation, stagnantGenerations, bestFitness, conflicts } cada stagnationThreshold
+ *   generaciones seguidas sin mejora
+ * - restart: { generation, restarts, survivors } al reiniciar la población por estancamiento
+ * - solution: cada solución distinta registrada al recoger varias soluciones
+ * - complete: { success, generations, reason } al terminar (reason: clave de END_REASONS)
+ * - log: el texto de cada mensaje
+ */
+const SOLVER_EVENTS = ['generation', 'improvement', 'stagnation', 'restart', 'solution', 'complete', 'log'];
+
+/**
+ * Motivos por los que termina una ejecución del algoritmo genético
+ */
+const END_REASONS = {
+    solved: 'Solución encontrada',
+    targetConflicts: 'Objetivo de conflictos alcanzado',
+    targetSolutions: 'Objetivo de soluciones alcanzado',
+    maxGenerations: 'Máximo de generaciones alcanzado',
+    timeBudget: 'Presupuesto de tiempo agotado',
+    solutionTimeLimit: 'Límite de tiempo de recogida alcanzado',
+    stagnation: 'Estancamiento',
+    stopped: 'Detenida por el usuario',
+    interrupted: 'Iteración abandonada antes de terminar',
+    emptyPopulation: 'Población vacía'
+};
+
+/**
+ * Qué hacer al alcanzar el límite de estancamiento. `survivors(solver)` devuelve los
+ * individuos que pasan a la población reiniciada, o null si la ejecución debe terminar.
+ */
+const RESTART_POLICIES = {
+    none: {
+        label: 'Terminar la ejecución',
+        survivors: () => null
+    },
+    keepElite: {
+        label: 'Reiniciar conservando la élite',
+        survivors: solver => solver.getElite()
+    },
+    dropElite: {
+        label: 'Reiniciar desde cero',
+        survivors: () => []
+    }
+};
+
+/**
+ * Identificador y versión del formato de los puntos de control (getCheckpoint)
+ */
+const CHECKPOINT_FORMAT = 'nqueens-checkpoint';
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Parámetros que pueden cambiarse al cargar un punto de control: los criterios de
+ * parada y la animación (el resto determina la evolución y se toma del punto de control)
+ */
+const CHECKPOINT_OVERRIDES = ['maxGenerations', 'animationSpeed', 'timeBudget', 'targetConflicts', 'stagnationLimit', 'restartPolicy'];
+
+/**
+ * Error al cargar un punto de control
+ */
+class CheckpointError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CheckpointError';
+    }
+}
+
+/**
+ * Indica si el valor es una permutación de 0..N-1
+ */
+function isPermutationOf(value, N) {
+    if (!Array.isArray(value) || value.length !== N) {
+        return false;
+    }
+    const seen = new Set(value);
+    return seen.size === N && value.every(col => Number.isInteger(col) && col >= 0 && col < N);
+}
+
+/**
+ * Comprueba la estructura de un punto de control; lanza CheckpointError si no es válido
+ */
+function validateCheckpoint(checkpoint) {
+    if (!checkpoint || typeof checkpoint !== 'object' || checkpoint.format !== CHECKPOINT_FORMAT) {
+        throw new CheckpointError('No es un punto de control de N-Reinas');
+    }
+    if (!Number.isInteger(checkpoint.version) || checkpoint.version > CHECKPOINT_VERSION) {
+        throw new CheckpointError(`Versión de punto de control no admitida: ${checkpoint.version}`);
+    }
+
+    const N = checkpoint.config && checkpoint.config.N;
+    if (!Number.isInteger(N) || N < 1) {
+        throw new CheckpointError('La configuración del punto de control no indica un N válido');
+    }
+    if (!Array.isArray(checkpoint.population) || !checkpoint.population.length) {
+        throw new CheckpointError('El punto de control no contiene población');
+    }
+    const invalid = checkpoint.population.findIndex(individual => !isPermutationOf(individual, N));
+    if (invalid !== -1) {
+        throw new CheckpointError(`El individuo ${invalid} no es una permutación de 0..${N - 1}`);
+    }
+    if (!Number.isInteger(checkpoint.generation) || checkpoint.generation < 0) {
+        throw new CheckpointError('Contador de generaciones no válido');
+    }
+    if (!Number.isFinite(checkpoint.randomState)) {
+        throw new CheckpointError('Falta el estado del generador aleatorio');
+    }
+    if (!(checkpoint.mutationRate >= 0 && checkpoint.mutationRate <= 1)) {
+        throw new CheckpointError('Tasa de mutación no válida');
+    }
+    if ((checkpoint.solutions ?? []).some(board => !isPermutationOf(board, N))) {
+        throw new CheckpointError('Las soluciones del punto de control no son tableros válidos');
+    }
+}
+
+/**
+ * Callbacks de setCallbacks y el evento sobre el que se suscribe cada uno
+ */
+const SOLVER_CALLBACK_EVENTS = {
+    onUpdate: 'generation',
+    onComplete: 'complete',
+    onLog: 'log',
+    onSolution: 'solution'
+};
+
+/**
+ * Emisor de eventos con varios oyentes por evento. subscribe devuelve la función
+ * que cancela la suscripción.
+ */
+class SolverEvents {
+    constructor(names) {
+        this.listeners = new Map(names.map(name => [name, new Set()]));
+    }
+
+    /**
+     * Añade un oyente al evento y devuelve la función para quitarlo
+     */
+    subscribe(name, listener) {
+        const listeners = this.listeners.get(name);
+        if (!listeners) {
+            throw new Error(`Evento desconocido: ${name} (disponibles: ${[...this.listeners.keys()].join(', ')})`);
+        }
+        listeners.add(listener);
+        return () => this.unsubscribe(name, listener);
+    }
+
+    /**
+     * Quita un oyente; devuelve false si no estaba suscrito
+     */
+    unsubscribe(name, listener) {
+        const listeners = this.listeners.get(name);
+        return listeners ? listeners.delete(listener) : false;
+    }
+
+    /**
+     * Indica si alguien escucha el evento (para no construir payloads que nadie lee)
+     */
+    hasListeners(name) {
+        const listeners = this.listeners.get(name);
+        return Boolean(listeners && listeners.size);
+    }
+
+    /**
+     * Notifica el evento a todos sus oyentes (una copia, por si alguno se da de baja al recibirlo)
+     */
+    emit(name, payload) {
+        const listeners = this.listeners.get(name);
+        if (listeners && listeners.size) {
+            [...listeners].forEach(listener => listener(payload));
+        }
+    }
+}
+
+class NQueensSolver {
+    constructor() {
+        this.N = 8;
+        this.maxGenerations = 1000;
+        this.populationSize = 100;
+        this.mutationRate = 0.1;
+        this.animationSpeed = 500;
+        this.selection = 'tournament';
+        this.tournamentSize = 3;
+        this.crossover = 'ox';
+        this.mutationOperator = 'swap';
+        this.mutationSchedule = 'fixed';
+        this.adaptationWindow = 10;
+        this.stagnationThreshold = 50;
+        this.stagnationLimit = 0;
+        this.timeBudget = 0;
+        this.targetConflicts = 0;
+        this.restartPolicy = 'none';
+        this.restartEliteRatio = 0.1;
+        this.diversityHeatmap = false;
+        this.targetSolutions = 1;
+        this.solutionTimeLimit = 0;
+        this.seedBoard = null;
+        this.seedBoardRatio = 0.25;
+        this.variant = 'classic';
+        this.rules = new QueensRules(this.N);
+        this.seed = null;
+        this.random = new SeededRandom();
+
+        this.population = [];
+        this.fitnessInfo = [];
+        this.currentGeneration = 0;
+        this.maxFitness = 0;
+
+        this.bestIndividual = [];
+        this.bestFitness = 0;
+        this.bestConflicts = Infinity;
+        this.avgFitness = 0;
+        this.diversityCache = null;
+        this.occupancyCounts = null;
+        this.solutions = new SolutionArchive();
+        this.solveStartTime = 0;
+        this.elapsedTime = 0;
+
+        this.stagnantGenerations = 0;
+        this.mutationAttempts = 0;
+        this.mutationSuccesses = 0;
+        this.restarts = 0;
+        this.endReason = null;
+
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.paused = false;
+        this.yieldInterval = 16;
+
+        this.events = new SolverEvents(SOLVER_EVENTS);
+        this.callbacks = {
+            onUpdate: null,
+            onComplete: null,
+            onLog: null,
+            onSolution: null
+        };
+        this.callbackSubscriptions = {};
+
+        this.config = {
+            N: this.N,
+            maxGenerations: this.maxGenerations,
+            populationSize: this.populationSize,
+            mutationRate: this.mutationRate,
+            animationSpeed: this.animationSpeed,
+            selection: this.selection,
+            tournamentSize: this.tournamentSize,
+            crossover: this.crossover,
+            mutationOperator: this.mutationOperator,
+            mutationSchedule: this.mutationSchedule,
+            stagnationThreshold: this.stagnationThreshold,
+            stagnationLimit: this.stagnationLimit,
+            timeBudget: this.timeBudget,
+            targetConflicts: this.targetConflicts,
+            restartPolicy: this.restartPolicy,
+            diversityHeatmap: this.diversityHeatmap,
+            targetSolutions: this.targetSolutions,
+            solutionTimeLimit: this.solutionTimeLimit,
+            seedBoard: this.seedBoard,
+            seedBoardRatio: this.seedBoardRatio,
+            variant: this.variant,
+            fixedQueens: [],
+            blockedCells: [],
+            seed: null
+        };
+    }
+
+    /**
+     * Inicializa el algoritmo con los parámetros proporcionados
+     */
+    initialize(paramsOrN, maybeMaxGenerations, maybeAnimationSpeed) {
+        this.configure(paramsOrN, maybeMaxGenerations, maybeAnimationSpeed);
+
+        this.population = this.generateInitialPopulation(this.populationSize, this.N);
+        this.evaluatePopulation();
+        this.dispatchUpdate();
+
+        this.log(`Inicialización completada -> N=${this.N}, población=${this.populationSize}, mutación=${(this.mutationRate * 100).toFixed(1)}%, semilla=${this.seed}`);
+        this.log(`Selección: ${this.describeSelection()}, cruce: ${CROSSOVER_OPERATORS[this.crossover].label}`);
+        this.log(`Mutación: ${this.describeMutation()}`);
+        if (this.variant !== 'classic') {
+            this.log(`Variante: ${this.rules.describe()}`);
+        }
+        if (this.isCollectingSolutions()) {
+            this.log(`Recogida de soluciones: hasta ${this.targetSolutions}${this.solutionTimeLimit > 0 ? ` o ${this.solutionTimeLimit}s` : ''}`);
+        }
+        const criteria = this.describeTermination();
+        if (criteria) {
+            this.log(`Criterios de parada: ${criteria}`);
+        }
+        this.log(`Fitness máximo posible: ${this.maxFitness}`);
+        this.log(`Mejor individuo inicial: [${this.bestIndividual.join(', ')}] (conflictos: ${this.bestConflicts})`);
+    }
+
+    /**
+     * Normaliza la configuración y prepara reglas, generador aleatorio y contadores,
+     * sin crear la población (la usa también loadCheckpoint)
+     */
+    configure(paramsOrN, maybeMaxGenerations, maybeAnimationSpeed) {
+        let config;
+
+        if (typeof paramsOrN === 'object') {
+            const params = paramsOrN;
+            config = {
+                N: params.N ?? this.N,
+                maxGenerations: params.maxGenerations ?? params.MAX_ITER ?? this.maxGenerations,
+                animationSpeed: params.animationSpeed ?? this.animationSpeed,
+                populationSize: params.populationSize ?? this.populationSize,
+                mutationRate: params.mutationRate ?? this.mutationRate,
+                selection: params.selection ?? this.selection,
+                tournamentSize: params.tournamentSize ?? this.tournamentSize,
+                crossover: params.crossover ?? this.crossover,
+                mutationOperator: params.mutationOperator ?? this.mutationOperator,
+                mutationSchedule: params.mutationSchedule ?? this.mutationSchedule,
+                stagnationThreshold: params.stagnationThreshold ?? this.stagnationThreshold,
+                stagnationLimit: params.stagnationLimit ?? this.stagnationLimit,
+                timeBudget: params.timeBudget ?? this.timeBudget,
+                targetConflicts: params.targetConflicts ?? this.targetConflicts,
+                restartPolicy: params.restartPolicy ?? this.restartPolicy,
+                diversityHeatmap: params.diversityHeatmap ?? this.diversityHeatmap,
+                targetSolutions: params.targetSolutions ?? this.targetSolutions,
+                solutionTimeLimit: params.solutionTimeLimit ?? this.solutionTimeLimit,
+                seedBoard: params.seedBoard ?? null,
+                seedBoardRatio: params.seedBoardRatio ?? this.seedBoardRatio,
+                variant: params.variant ?? this.variant,
+                fixedQueens: params.fixedQueens ?? [],
+                blockedCells: params.blockedCells ?? [],
+                seed: params.seed ?? null
+            };
+        } else {
+            config = {
+                N: paramsOrN ?? this.N,
+                maxGenerations: maybeMaxGenerations ?? this.maxGenerations,
+                animationSpeed: maybeAnimationSpeed ?? this.animationSpeed,
+                populationSize: this.populationSize,
+                mutationRate: this.mutationRate,
+                selection: this.selection,
+                tournamentSize: this.tournamentSize,
+                crossover: this.crossover,
+                mutationOperator: this.mutationOperator,
+                mutationSchedule: this.mutationSchedule,
+                stagnationThreshold: this.stagnationThreshold,
+                stagnationLimit: this.stagnationLimit,
+                timeBudget: this.timeBudget,
+                targetConflicts: this.targetConflicts,
+                restartPolicy: this.restartPolicy,
+                diversityHeatmap: this.diversityHeatmap,
+                targetSolutions: this.targetSolutions,
+                solutionTimeLimit: this.solutionTimeLimit,
+                seedBoard: null,
+                seedBoardRatio: this.seedBoardRatio,
+                variant: this.variant,
+                fixedQueens: [],
+                blockedCells: [],
+                seed: null
+            };
+        }
+
+        this.N = config.N;
+        this.maxGenerations = config.maxGenerations;
+        this.animationSpeed = config.animationSpeed;
+        this.populationSize = config.populationSize;
+        this.mutationRate = config.mutationRate;
+        this.tournamentSize = Math.max(2, Math.floor(config.tournamentSize));
+        this.diversityHeatmap = Boolean(config.diversityHeatmap);
+        this.targetSolutions = Math.max(1, Math.floor(config.targetSolutions));
+        this.solutionTimeLimit = Math.max(0, config.solutionTimeLimit);
+        this.stagnationThreshold = Math.max(1, Math.floor(config.stagnationThreshold) || 50);
+        config.targetSolutions = this.targetSolutions;
+        config.solutionTimeLimit = this.solutionTimeLimit;
+        config.stagnationThreshold = this.stagnationThreshold;
+        this.stagnationLimit = Math.max(0, Math.floor(config.stagnationLimit) || 0);
+        this.timeBudget = Math.max(0, config.timeBudget || 0);
+        this.targetConflicts = Math.max(0, Math.floor(config.targetConflicts) || 0);
+        config.stagnationLimit = this.stagnationLimit;
+        config.timeBudget = this.timeBudget;
+        config.targetConflicts = this.targetConflicts;
+        if (!RESTART_POLICIES[config.restartPolicy]) {
+            this.log(`Política de reinicio desconocida "${config.restartPolicy}", se termina al estancarse`);
+            config.restartPolicy = 'none';
+        }
+        this.restartPolicy = config.restartPolicy;
+        this.solutions = new SolutionArchive();
+        this.seedBoardRatio = Math.max(0, Math.min(1, config.seedBoardRatio));
+        config.seedBoardRatio = this.seedBoardRatio;
+
+        if (config.seedBoard && config.seedBoard.length !== config.N) {
+            this.log(`Tablero semilla ignorado: tiene ${config.seedBoard.length} filas y N=${config.N}`);
+            config.seedBoard = null;
+        }
+        this.seedBoard = config.seedBoard ? [...config.seedBoard] : null;
+        config.seedBoard = this.seedBoard;
+
+        this.rules = new QueensRules(this.N, config);
+        this.rules.warnings.forEach(warning => this.log(warning));
+        this.variant = this.rules.variantKey;
+        config.variant = this.variant;
+        config.fixedQueens = this.rules.fixedQueens;
+        config.blockedCells = this.rules.getBlockedCells();
+
+        if (!SELECTION_STRATEGIES[config.selection]) {
+            this.log(`Estrategia de selección desconocida "${config.selection}", se usa torneo`);
+            config.selection = 'tournament';
+        }
+        this.selection = config.selection;
+        config.tournamentSize = this.tournamentSize;
+
+        if (!CROSSOVER_OPERATORS[config.crossover]) {
+            this.log(`Operador de cruce desconocido "${config.crossover}", se usa OX`);
+            config.crossover = 'ox';
+        }
+        this.crossover = config.crossover;
+
+        if (!MUTATION_OPERATORS[config.mutationOperator]) {
+            this.log(`Operador de mutación desconocido "${config.mutationOperator}", se usa intercambio`);
+            config.mutationOperator = 'swap';
+        }
+        if (!MUTATION_SCHEDULES[config.mutationSchedule]) {
+            this.log(`Plan de mutación desconocido "${config.mutationSchedule}", se usa tasa fija`);
+            config.mutationSchedule = 'fixed';
+        }
+        this.mutationOperator = config.mutationOperator;
+        this.mutationSchedule = config.mutationSchedule;
+        this.stagnantGenerations = 0;
+        this.mutationAttempts = 0;
+        this.mutationSuccesses = 0;
+        this.restarts = 0;
+        this.endReason = null;
+
+        this.config = { ...config };
+
+        // Sin semilla explícita se genera una nueva para que la ejecución siga siendo reproducible
+        this.random = new SeededRandom(config.seed ?? SeededRandom.randomSeed());
+        this.seed = this.random.seed;
+
+        this.maxFitness = this.calculateMaxFitness();
+        this.currentGeneration = 0;
+        this.elapsedTime = 0;
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.paused = false;
+    }
+
+    /**
+     * Genera la población inicial de manera aleatoria. Con un tablero semilla,
+     * una parte de la población (seedBoardRatio) parte de él: el primer individuo
+     * es el tablero reparado y el resto, variantes con un intercambio aleatorio.
+     */
+    generateInitialPopulation(populationSize, N) {
+        const population = [];
+        const seeded = this.seedBoard ?
+            Math.min(populationSize, Math.max(1, Math.round(populationSize * this.seedBoardRatio))) : 0;
+
+        for (let i = 0; i < seeded; i++) {
+            const individual = this.repairBoard(this.seedBoard);
+            if (i > 0) {
+                MUTATION_OPERATORS.swap.mutate(individual, this.random);
+            }
+            population.push(this.rules.repair(individual));
+        }
+        if (seeded) {
+            this.log(`Población inicial: ${seeded} individuos sembrados desde el tablero`);
+        }
+
+        while (population.length < populationSize) {
+            population.push(this.rules.repair(this.generateRandomPermutation(N)));
+        }
+        return population;
+    }
+
+    /**
+     * Convierte un tablero arbitrario (filas vacías con -1 o columnas repetidas)
+     * en una permutación: conserva la primera reina de cada columna y reparte
+     * las columnas libres al azar entre las filas restantes
+     */
+    repairBoard(board) {
+        const N = board.length;
+        const used = new Array(N).fill(false);
+        const result = board.map(col => {
+            if (Number.isInteger(col) && col >= 0 && col < N && !used[col]) {
+                used[col] = true;
+                return col;
+            }
+            return -1;
+        });
+
+        const free = [];
+        used.forEach((isUsed, col) => {
+            if (!isUsed) {
+                free.push(col);
+            }
+        });
+        for (let i = free.length - 1; i > 0; i--) {
+            const j = this.random.nextInt(i + 1);
+            [free[i], free[j]] = [free[j], free[i]];
+        }
+
+        return result.map(col => (col >= 0 ? col : free.pop()));
+    }
+
+    /**
+     * Genera una permutación aleatoria válida para un tablero de tamaño N
+     */
+    generateRandomPermutation(N) {
+        const permutation = Array.from({ length: N }, (_, idx) => idx);
+
+        for (let i = N - 1; i > 0; i--) {
+            const j = this.random.nextInt(i + 1);
+            [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+        }
+
+        return permutation;
+    }
+
+    /**
+     * Calcula el número de conflictos según la variante (en el clásico, pares en diagonal) en O(N)
+     */
+    calculateConflicts(board) {
+        return this.rules.count(board);
+    }
+
+    /**
+     * Conflictos del mejor individuo según la variante (filas en conflicto y reinas por
+     * diagonal), para resaltarlos en la UI
+     */
+    getConflictData() {
+        return this.rules.analyze(this.bestIndividual);
+    }
+
+    /**
+     * Fitness máximo: los conflictos máximos posibles según la variante, de modo que
+     * el fitness nunca es negativo
+     */
+    calculateMaxFitness() {
+        return this.rules.maxConflicts();
+    }
+
+    /**
+     * Evalúa toda la población y actualiza métricas agregadas
+     */
+    evaluatePopulation() {
+        if (!this.population.length) {
+            this.bestIndividual = [];
+            this.bestFitness = 0;
+            this.bestConflicts = Infinity;
+            this.avgFitness = 0;
+            this.diversityCache = null;
+            return;
+        }
+
+        let bestIndex = 0;
+        let bestFitness = -Infinity;
+        let bestConflicts = Infinity;
+        let sumFitness = 0;
+
+        this.fitnessInfo = this.population.map(individual => {
+            const conflicts = this.calculateConflicts(individual);
+            const fitness = this.maxFitness - conflicts;
+            return { fitness, conflicts };
+        });
+
+        for (let i = 0; i < this.fitnessInfo.length; i++) {
+            const { fitness, conflicts } = this.fitnessInfo[i];
+            sumFitness += fitness;
+
+            if (fitness > bestFitness) {
+                bestFitness = fitness;
+                bestConflicts = conflicts;
+                bestIndex = i;
+            }
+        }
+
+        this.bestIndividual = [...this.population[bestIndex]];
+        this.bestFitness = bestFitness;
+        this.bestConflicts = bestConflicts;
+        this.avgFitness = sumFitness / this.fitnessInfo.length;
+        // La diversidad se calcula al pedirla (plan de mutación, mapa de calor o UI)
+        this.diversityCache = null;
+    }
+
+    /**
+     * Diversidad de la población actual, calculada una vez por evaluación y solo si se consulta
+     */
+    get diversity() {
+        if (!this.diversityCache && this.population.length) {
+            this.diversityCache = this.calculateDiversity();
+        }
+        return this.diversityCache;
+    }
+
+    /**
+     * Métricas de diversidad de la población: individuos únicos, distancia de Hamming
+     * media entre pares y entropía normalizada (0-1) de cada posición del individuo.
+     * Se calculan a partir del recuento de reinas por casilla en O(población * N + N²).
+     */
+    calculateDiversity() {
+        const N = this.N;
+        const size = this.population.length;
+        if (!size) {
+            return null;
+        }
+
+        if (!this.occupancyCounts || this.occupancyCounts.length !== N * N) {
+            this.occupancyCounts = new Uint32Array(N * N);
+        } else {
+            this.occupancyCounts.fill(0);
+        }
+
+        const counts = this.occupancyCounts;
+        const unique = new Set();
+        this.population.forEach(individual => {
+            for (let i = 0; i < N; i++) {
+                counts[i * N + individual[i]]++;
+            }
+            unique.add(individual.join(','));
+        });
+
+        // Pares que difieren en la posición i: (P² - Σ c²) / 2
+        let differingPairs = 0;
+        const columnEntropy = new Array(N);
+        const maxEntropy = N > 1 ? Math.log(N) : 1;
+
+        for (let i = 0; i < N; i++) {
+            let sumSquares = 0;
+            let entropy = 0;
+            for (let value = 0; value < N; value++) {
+                const count = counts[i * N + value];
+                if (count) {
+                    const p = count / size;
+                    sumSquares += count * count;
+                    entropy -= p * Math.log(p);
+                }
+            }
+            differingPairs += (size * size - sumSquares) / 2;
+            columnEntropy[i] = entropy / maxEntropy;
+        }
+
+        const pairs = size * (size - 1) / 2;
+        return {
+            populationSize: size,
+            uniqueIndividuals: unique.size,
+            uniqueRatio: unique.size / size,
+            meanHammingDistance: pairs > 0 ? differingPairs / pairs : 0,
+            columnEntropy,
+            meanEntropy: columnEntropy.reduce((sum, value) => sum + value, 0) / N
+        };
+    }
+
+    /**
+     * Frecuencia (0-1) con la que la población coloca una reina en cada casilla,
+     * en orden fila a fila; null si el mapa de diversidad no está activado
+     */
+    getOccupancy() {
+        // Consultar la diversidad actualiza el recuento por casilla de la población actual
+        if (!this.diversityHeatmap || !this.diversity) {
+            return null;
+        }
+        const size = this.population.length;
+        return Array.from(this.occupancyCounts, count => count / size);
+    }
+
+    /**
+     * Descripción legible de la estrategia de selección en uso
+     */
+    describeSelection() {
+        return SELECTION_STRATEGIES[this.selection].describe({ tournamentSize: this.tournamentSize });
+    }
+
+    /**
+     * Selecciona `count` padres con la estrategia configurada y devuelve copias
+     */
+    selectParents(count) {
+        const strategy = SELECTION_STRATEGIES[this.selection];
+        const indices = strategy.select(this.fitnessInfo, count, this.random, {
+            tournamentSize: this.tournamentSize
+        });
+        return indices.map(index => [...this.population[index]]);
+    }
+
+    /**
+     * Selecciona un único padre con la estrategia configurada
+     */
+    selectParent() {
+        return this.selectParents(1)[0];
+    }
+
+    /**
+     * Order Crossover (OX) para permutaciones
+     */
+    orderCrossover(parent1, parent2) {
+        return CROSSOVER_OPERATORS.ox.cross(parent1, parent2, this.random);
+    }
+
+    /**
+     * Cruce con el operador configurado. Los operadores no conocen las reinas fijas
+     * de la variante, así que el hijo se repara para devolverlas a su sitio.
+     */
+    recombine(parent1, parent2) {
+        return this.rules.repair(CROSSOVER_OPERATORS[this.crossover].cross(parent1, parent2, this.random));
+    }
+
+    /**
+     * Mutación con el operador configurado (por defecto, intercambio de dos columnas),
+     * reparada igual que el cruce
+     */
+    mutate(individual) {
+        if (individual.length < 2) {
+            return;
+        }
+
+        MUTATION_OPERATORS[this.mutationOperator].mutate(individual, this.random, this.rules);
+        this.rules.repair(individual);
+    }
+
+    /**
+     * Descripción legible del operador y del plan de mutación
+     */
+    describeMutation() {
+        return `${MUTATION_OPERATORS[this.mutationOperator].label} (tasa ${MUTATION_SCHEDULES[this.mutationSchedule].label.toLowerCase()})`;
+    }
+
+    /**
+     * Ajusta la tasa de mutación según el plan configurado tras evaluar una generación
+     */
+    adaptMutationRate(previousBestFitness) {
+        const schedule = MUTATION_SCHEDULES[this.mutationSchedule];
+        const improved = this.bestFitness > previousBestFitness;
+        this.stagnantGenerations = improved ? 0 : this.stagnantGenerations + 1;
+
+        const baseRate = this.config.mutationRate;
+        const rate = schedule.update({
+            rate: this.mutationRate,
+            baseRate,
+            minRate: Math.min(baseRate, 0.01),
+            maxRate: Math.max(baseRate, 0.8),
+            improved,
+            stagnantGenerations: this.stagnantGenerations,
+            window: this.adaptationWindow,
+            generation: this.currentGeneration,
+            diversity: schedule.requiresDiversity && this.diversity ? this.diversity.uniqueRatio : 1,
+            attempts: this.mutationAttempts,
+            successes: this.mutationSuccesses
+        });
+
+        if (schedule.tracksSuccess && this.currentGeneration % this.adaptationWindow === 0) {
+            this.mutationAttempts = 0;
+            this.mutationSuccesses = 0;
+        }
+
+        this.mutationRate = rate;
+    }
+
+    /**
+     * Ejecuta una generación completa (selección, cruce, mutación y evaluación)
+     */
+    async runGeneration() {
+        if (!this.population.length) {
+            return false;
+        }
+
+        const newPopulation = [];
+        newPopulation.push([...this.bestIndividual]);
+
+        // Todos los padres de la generación se eligen de una vez (necesario para SUS)
+        const parents = this.selectParents(2 * Math.max(0, this.populationSize - 1));
+        let parentIndex = 0;
+        const trackSuccess = MUTATION_SCHEDULES[this.mutationSchedule].tracksSuccess;
+
+        while (newPopulation.length < this.populationSize) {
+            const parent1 = parents[parentIndex++];
+            const parent2 = parents[parentIndex++];
+            const child = this.recombine(parent1, parent2);
+
+            if (this.random.next() < this.mutationRate) {
+                if (trackSuccess) {
+                    const conflictsBefore = this.calculateConflicts(child);
+                    this.mutate(child);
+                    this.mutationAttempts++;
+                    if (this.calculateConflicts(child) < conflictsBefore) {
+                        this.mutationSuccesses++;
+                    }
+                } else {
+                    this.mutate(child);
+                }
+            }
+
+            newPopulation.push(child);
+        }
+
+        const previousBestFitness = this.bestFitness;
+        this.population = newPopulation;
+        this.currentGeneration += 1;
+        this.evaluatePopulation();
+        this.adaptMutationRate(previousBestFitness);
+        this.emitProgressEvents(previousBestFitness);
+
+        const solved = this.bestConflicts === 0;
+        this.dispatchUpdate();
+
+        if (this.currentGeneration % 10 === 0 || (solved && !this.isCollectingSolutions())) {
+            this.log(`Generación ${this.currentGeneration}: fitness=${this.bestFitness.toFixed(2)} (avg=${this.avgFitness.toFixed(2)}), conflictos=${this.bestConflicts}, mutación=${(this.mutationRate * 100).toFixed(1)}%`);
+        }
+
+        if (this.animationSpeed > 0 && !this.isStepMode) {
+            await this.sleep(this.animationSpeed);
+        }
+
+        return solved;
+    }
+
+    /**
+     * Publica improvement si el mejor individuo ha mejorado y stagnation cada
+     * stagnationThreshold generaciones seguidas sin mejora
+     */
+    emitProgressEvents(previousBestFitness) {
+        if (this.bestFitness > previousBestFitness) {
+            this.events.emit('improvement', {
+                generation: this.currentGeneration,
+                bestFitness: this.bestFitness,
+                previousFitness: previousBestFitness,
+                conflicts: this.bestConflicts,
+                board: [...this.bestIndividual]
+            });
+        } else if (this.stagnantGenerations > 0 && this.stagnantGenerations % this.stagnationThreshold === 0) {
+            this.events.emit('stagnation', {
+                generation: this.currentGeneration,
+                stagnantGenerations: this.stagnantGenerations,
+                bestFitness: this.bestFitness,
+                conflicts: this.bestConflicts
+            });
+        }
+    }
+
+    /**
+     * Criterios de parada adicionales configurados (cadena vacía si no hay ninguno)
+     */
+    describeTermination() {
+        const criteria = [];
+        if (this.timeBudget > 0) {
+            criteria.push(`${this.timeBudget}s de tiempo`);
+        }
+        if (this.targetConflicts > 0) {
+            criteria.push(`${this.targetConflicts} conflictos o menos`);
+        }
+        if (this.stagnationLimit > 0) {
+            criteria.push(`${this.stagnationLimit} generaciones sin mejora (${RESTART_POLICIES[this.restartPolicy].label.toLowerCase()})`);
+        }
+        return criteria.join(', ');
+    }
+
+    /**
+     * Mejores individuos distintos de la población (restartEliteRatio, al menos uno)
+     */
+    getElite() {
+        const count = Math.max(1, Math.round(this.populationSize * this.restartEliteRatio));
+        const order = this.fitnessInfo
+            .map((info, index) => ({ fitness: info.fitness, index }))
+            .sort((a, b) => b.fitness - a.fitness);
+
+        const elite = [];
+        const seen = new Set();
+        for (const { index } of order) {
+            const key = this.population[index].join(',');
+            if (!seen.has(key)) {
+                seen.add(key);
+                elite.push([...this.population[index]]);
+            }
+            if (elite.length >= count) {
+                break;
+            }
+        }
+        return elite;
+    }
+
+    /**
+     * Reinicia la población según la política de reinicio; devuelve false si la política
+     * es terminar
+     */
+    restart() {
+        const survivors = RESTART_POLICIES[this.restartPolicy].survivors(this);
+        if (!survivors) {
+            return false;
+        }
+
+        const fresh = Array.from({ length: Math.max(0, this.populationSize - survivors.length) },
+            () => this.rules.repair(this.generateRandomPermutation(this.N)));
+        this.population = [...survivors, ...fresh];
+        this.evaluatePopulation();
+        this.restarts += 1;
+        this.stagnantGenerations = 0;
+        this.mutationRate = this.config.mutationRate;
+
+        this.log(`Reinicio ${this.restarts} en la generación ${this.currentGeneration} tras ${this.stagnationLimit} generaciones sin mejora` +
+            (survivors.length ? ` (se conservan ${survivors.length} individuos de élite)` : ' (población nueva)'));
+        this.events.emit('restart', {
+            generation: this.currentGeneration,
+            restarts: this.restarts,
+            survivors: survivors.length
+        });
+        return true;
+    }
+
+    /**
+     * Indica si se ha agotado el presupuesto de tiempo de la ejecución automática
+     */
+    isTimeBudgetExhausted() {
+        return this.timeBudget > 0 && Date.now() - this.solveStartTime >= this.timeBudget * 1000;
+    }
+
+    /**
+     * Aplica los criterios de parada tras una generación (recogiendo soluciones o
+     * reiniciando la población si procede) y devuelve el motivo de fin o null
+     */
+    afterGeneration(solved) {
+        if (solved && (!this.isCollectingSolutions() || this.harvestSolutions())) {
+            return this.isCollectingSolutions() ? 'targetSolutions' : 'solved';
+        }
+        if (!this.isCollectingSolutions() && this.targetConflicts > 0 && this.bestConflicts <= this.targetConflicts) {
+            return 'targetConflicts';
+        }
+        // Los límites de tiempo solo se aplican a la ejecución automática
+        if (!this.isStepMode && this.isSolutionTimeExhausted()) {
+            return 'solutionTimeLimit';
+        }
+        if (!this.isStepMode && this.isTimeBudgetExhausted()) {
+            return 'timeBudget';
+        }
+        if (this.stagnationLimit > 0 && this.stagnantGenerations >= this.stagnationLimit && !this.restart()) {
+            return 'stagnation';
+        }
+        return null;
+    }
+
+    /**
+     * Termina la ejecución por el motivo indicado (clave de END_REASONS)
+     */
+    end(reason) {
+        this.endReason = reason;
+        if (this.isCollectingSolutions()) {
+            this.finishCollecting(END_REASONS[reason]);
+            return;
+        }
+        this.log(`Fin de la ejecución en la generación ${this.currentGeneration}: ${END_REASONS[reason].toLowerCase()}`);
+        this.finish(this.bestConflicts === 0);
+    }
+
+    /**
+     * Indica si el algoritmo sigue evolucionando tras la primera solución
+     */
+    isCollectingSolutions() {
+        return this.targetSolutions > 1;
+    }
+
+    /**
+     * Registra las soluciones nuevas de la población y sustituye los individuos ya
+     * resueltos por permutaciones aleatorias para que la búsqueda explore otras zonas.
+     * Devuelve true cuando se ha alcanzado el número de soluciones buscado.
+     */
+    harvestSolutions() {
+        let replaced = 0;
+
+        for (let i = 0; i < this.population.length; i++) {
+            if (this.fitnessInfo[i].conflicts !== 0) {
+                continue;
+            }
+
+            const entry = this.solutions.add(this.population[i]);
+            if (entry) {
+                this.log(`Solución ${entry.index + 1}: [${entry.board.join(', ')}] (${entry.isFundamental ? 'fundamental' : 'simétrica'} de la clase ${entry.classIndex + 1}) en la generación ${this.currentGeneration}`);
+                this.events.emit('solution', entry);
+                if (this.solutions.size >= this.targetSolutions) {
+                    return true;
+                }
+            }
+
+            this.population[i] = this.rules.repair(this.generateRandomPermutation(this.N));
+            replaced++;
+        }
+
+        if (replaced) {
+            this.evaluatePopulation();
+        }
+        return false;
+    }
+
+    /**
+     * Comprueba si se ha agotado el tiempo de recogida de soluciones
+     */
+    isSolutionTimeExhausted() {
+        return this.isCollectingSolutions() && this.solutionTimeLimit > 0 &&
+            Date.now() - this.solveStartTime >= this.solutionTimeLimit * 1000;
+    }
+
+    /**
+     * Cierra la recogida de soluciones con un resumen
+     */
+    finishCollecting(reason) {
+        this.log(`${reason}: ${this.solutions.size} soluciones distintas (${this.solutions.fundamentalCount} fundamentales)`);
+        this.finish(this.solutions.size > 0);
+    }
+
+    /**
+     * Ejecuta el algoritmo en modo automático hasta que termina
+     */
+    async solve() {
+        const generations = this.run();
+        while (!(await generations.next()).done) {
+            // Todo el trabajo se hace dentro del iterador
+        }
+    }
+
+    /**
+     * Iterador asíncrono sobre las generaciones: `for await (const gen of solver.run())`.
+     * Cada paso ejecuta una generación y entrega un resumen { generation, conflicts,
+     * bestFitness, avgFitness, mutationRate, board }; la siguiente generación no se
+     * calcula hasta que se pide. Salir del bucle antes de terminar detiene la ejecución
+     * con el motivo 'interrupted'.
+     */
+    async *run() {
+        if (this.isRunning) {
+            return;
+        }
+
+        try {
+            yield* this.evolve();
+        } finally {
+            if (this.isRunning && !this.isStepMode) {
+                this.interrupt();
+            }
+        }
+    }
+
+    /**
+     * Bucle principal de la ejecución automática (usado por run)
+     */
+    async *evolve() {
+        const resuming = this.paused;
+        this.isRunning = true;
+        this.isStepMode = false;
+        this.paused = false;
+
+        if (resuming) {
+            // El tiempo de la ejecución sigue contando desde donde se pausó
+            this.solveStartTime = Date.now() - this.elapsedTime;
+            this.dispatchUpdate();
+            this.log(`Ejecución reanudada en la generación ${this.currentGeneration}`);
+        } else {
+            this.currentGeneration = 0;
+            this.solutions = new SolutionArchive();
+            this.solveStartTime = Date.now();
+            this.elapsedTime = 0;
+            this.restarts = 0;
+            this.endReason = null;
+
+            this.evaluatePopulation();
+            this.dispatchUpdate();
+
+            this.log('Ejecución del algoritmo evolutivo iniciada');
+            this.log(`Población: ${this.populationSize}, mutación: ${(this.mutationRate * 100).toFixed(1)}%, semilla: ${this.seed}`);
+        }
+
+        let lastYield = Date.now();
+        while (this.isRunning && this.currentGeneration < this.maxGenerations) {
+            // Sin individuos no se puede avanzar de generación
+            if (!this.population.length) {
+                this.end('emptyPopulation');
+                return;
+            }
+            const solved = await this.runGeneration();
+            this.elapsedTime = Date.now() - this.solveStartTime;
+            yield this.getGenerationSummary();
+            if (!this.isRunning && !this.paused) {
+                return;
+            }
+
+            // Los criterios se aplican también si se ha pausado, de modo que la pausa (y su
+            // punto de control) queda tras una generación completa y se reanuda en la siguiente
+            const reason = this.afterGeneration(solved);
+            if (reason) {
+                this.end(reason);
+                return;
+            }
+            if (!this.isRunning) {
+                return;
+            }
+
+            // Sin animación se cede el control periódicamente para poder atender stop()
+            if (this.animationSpeed === 0 && Date.now() - lastYield >= this.yieldInterval) {
+                await this.sleep(0);
+                lastYield = Date.now();
+            }
+        }
+
+        if (!this.isRunning) {
+            return;
+        }
+
+        if (this.currentGeneration >= this.maxGenerations) {
+            this.end('maxGenerations');
+        }
+    }
+
+    /**
+     * Resumen de la generación actual que entrega run()
+     */
+    getGenerationSummary() {
+        return {
+            generation: this.currentGeneration,
+            conflicts: this.bestConflicts,
+            bestFitness: this.bestFitness,
+            avgFitness: this.avgFitness,
+            mutationRate: this.mutationRate,
+            board: [...this.bestIndividual]
+        };
+    }
+
+    /**
+     * Ejecuta una única generación en modo paso a paso
+     */
+    async step() {
+        if (this.isRunning && !this.isStepMode) {
+            return;
+        }
+
+        if (!this.population.length) {
+            this.end('emptyPopulation');
+            return;
+        }
+
+        this.isStepMode = true;
+        this.isRunning = true;
+
+        const solved = await this.runGeneration();
+        this.isRunning = false;
+
+        const reason = this.afterGeneration(solved);
+        if (reason) {
+            this.end(reason);
+        }
+    }
+
+    /**
+     * Detiene la ejecución en curso (también descarta una ejecución en pausa)
+     */
+    stop() {
+        if (!this.isRunning && !this.paused) {
+            return;
+        }
+
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.paused = false;
+        this.endReason = 'stopped';
+        this.log('Ejecución detenida por el usuario');
+    }
+
+    /**
+     * Detiene la ejecución cuando quien recorre run() deja de pedir generaciones
+     */
+    interrupt() {
+        this.isRunning = false;
+        this.paused = false;
+        this.endReason = 'interrupted';
+        this.log(`Ejecución interrumpida en la generación ${this.currentGeneration}: se dejó de recorrer run()`);
+    }
+
+    /**
+     * Pausa la ejecución automática tras la generación en curso; solve() la reanuda
+     */
+    pause() {
+        if (!this.isRunning || this.isStepMode) {
+            return;
+        }
+
+        this.isRunning = false;
+        this.paused = true;
+        this.elapsedTime = Date.now() - this.solveStartTime;
+        this.log(`Ejecución en pausa en la generación ${this.currentGeneration}`);
+    }
+
+    /**
+     * Reanuda una ejecución en pausa
+     */
+    async resume() {
+        if (this.paused) {
+            await this.solve();
+        }
+    }
+
+    /**
+     * Indica si hay una ejecución en pausa
+     */
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Punto de control serializable a JSON: configuración, población, contadores y estado
+     * del generador aleatorio, todo lo necesario para continuar la ejecución
+     */
+    getCheckpoint() {
+        return {
+            format: CHECKPOINT_FORMAT,
+            version: CHECKPOINT_VERSION,
+            createdAt: new Date().toISOString(),
+            config: { ...this.config, seed: this.seed },
+            generation: this.currentGeneration,
+            population: this.population.map(individual => [...individual]),
+            bestIndividual: [...this.bestIndividual],
+            mutationRate: this.mutationRate,
+            stagnantGenerations: this.stagnantGenerations,
+            mutationAttempts: this.mutationAttempts,
+            mutationSuccesses: this.mutationSuccesses,
+            restarts: this.restarts,
+            elapsedMs: this.isRunning && !this.isStepMode ? Date.now() - this.solveStartTime : this.elapsedTime,
+            randomState: this.random.getState(),
+            solutions: this.solutions.solutions.map(solution => [...solution.board])
+        };
+    }
+
+    /**
+     * Restaura un punto de control de getCheckpoint(). La ejecución queda en pausa y
+     * solve() la continúa; `overrides` cambia los parámetros de CHECKPOINT_OVERRIDES.
+     */
+    loadCheckpoint(checkpoint, overrides = {}) {
+        if (this.isRunning) {
+            throw new CheckpointError('Detén la ejecución antes de cargar un punto de control');
+        }
+        validateCheckpoint(checkpoint);
+
+        const config = { ...checkpoint.config, populationSize: checkpoint.population.length };
+        CHECKPOINT_OVERRIDES.forEach(key => {
+            if (overrides[key] !== undefined) {
+                config[key] = overrides[key];
+            }
+        });
+        this.configure(config);
+
+        this.population = checkpoint.population.map(individual => [...individual]);
+        this.currentGeneration = checkpoint.generation;
+        this.evaluatePopulation();
+        this.mutationRate = checkpoint.mutationRate;
+        this.stagnantGenerations = checkpoint.stagnantGenerations ?? 0;
+        this.mutationAttempts = checkpoint.mutationAttempts ?? 0;
+        this.mutationSuccesses = checkpoint.mutationSuccesses ?? 0;
+        this.restarts = checkpoint.restarts ?? 0;
+        this.elapsedTime = Math.max(0, checkpoint.elapsedMs || 0);
+        this.random.setState(checkpoint.randomState);
+        (checkpoint.solutions ?? []).forEach(board => this.solutions.add(board));
+        this.paused = true;
+        this.dispatchUpdate();
+
+        this.log(`Punto de control cargado: generación ${this.currentGeneration}, conflictos=${this.bestConflicts}, ` +
+            `${(this.elapsedTime / 1000).toFixed(1)}s de ejecución previa`);
+    }
+
+    /**
+     * Reinicia el solver con nuevos individuos aleatorios
+     */
+    reset() {
+        this.stop();
+        this.initialize(this.config);
+        this.log('Población reiniciada');
+    }
+
+    /**
+     * Devuelve el mejor tablero conocido
+     */
+    getBoard() {
+        return [...this.bestIndividual];
+    }
+
+    /**
+     * Conflictos del mejor individuo
+     */
+    getConflicts() {
+        return this.bestConflicts;
+    }
+
+    /**
+     * Fitness del mejor individuo
+     */
+    getCurrentFitness() {
+        return this.bestFitness;
+    }
+
+    /**
+     * Iteraciones/generaciones acumuladas
+     */
+    getIterations() {
+        return this.currentGeneration;
+    }
+
+    /**
+     * Determina si el algoritmo está ejecutándose
+     */
+    isExecuting() {
+        return this.isRunning;
+    }
+
+    /**
+     * Eficiencia relativa al máximo de generaciones permitido
+     */
+    getEfficiency() {
+        if (!this.maxGenerations) {
+            return '-';
+        }
+        const remaining = Math.max(0, this.maxGenerations - this.currentGeneration);
+        return `${((remaining / this.maxGenerations) * 100).toFixed(1)}%`;
+    }
+
+    /**
+     * Estadísticas en formato amigable para la UI
+     */
+    getPerformanceStats() {
+        return {
+            conflicts: this.bestConflicts,
+            generations: this.currentGeneration,
+            iterations: this.currentGeneration,
+            bestFitness: this.bestFitness,
+            avgFitness: this.avgFitness,
+            mutationRate: this.mutationRate,
+            selection: this.describeSelection(),
+            crossover: CROSSOVER_OPERATORS[this.crossover].label,
+            mutation: this.describeMutation(),
+            diversity: this.diversity,
+            solutionsFound: this.isCollectingSolutions() ? this.solutions.size : undefined,
+            fundamentalSolutions: this.isCollectingSolutions() ? this.solutions.fundamentalCount : undefined,
+            seed: this.seed,
+            efficiency: this.getEfficiency(),
+            restarts: this.restarts,
+            endReason: this.endReason,
+            paused: this.paused,
+            solutionFound: this.bestConflicts === 0,
+            board: [...this.bestIndividual]
+        };
+    }
+
+    /**
+     * Semilla efectiva de la ejecución actual
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Suscribe un oyente a un evento (ver SOLVER_EVENTS); devuelve la función para darse de baja
+     */
+    subscribe(event, listener) {
+        return this.events.subscribe(event, listener);
+    }
+
+    /**
+     * Da de baja un oyente suscrito con subscribe
+     */
+    unsubscribe(event, listener) {
+        return this.events.unsubscribe(event, listener);
+    }
+
+    /**
+     * Registra callbacks externos. Cada callback es un oyente más de su evento: uno nuevo
+     * sustituye al anterior del mismo nombre sin afectar al resto de suscripciones.
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+
+        Object.entries(callbacks).forEach(([name, callback]) => {
+            const event = SOLVER_CALLBACK_EVENTS[name];
+            if (!event) {
+                return;
+            }
+            if (this.callbackSubscriptions[name]) {
+                this.callbackSubscriptions[name]();
+                delete this.callbackSubscriptions[name];
+            }
+            if (callback) {
+                const listener = event === 'complete' ?
+                    ({ success, generations, reason }) => callback(success, generations, reason) : callback;
+                this.callbackSubscriptions[name] = this.subscribe(event, listener);
+            }
+        });
+    }
+
+    /**
+     * Envía una actualización al exterior
+     */
+    dispatchUpdate() {
+        if (!this.events.hasListeners('generation')) {
+            return;
+        }
+
+        this.events.emit('generation', {
+            board: [...this.bestIndividual],
+            conflicts: this.bestConflicts,
+            generation: this.currentGeneration,
+            fitness: this.bestFitness,
+            bestFitness: this.bestFitness,
+            avgFitness: this.avgFitness,
+            mutationRate: this.mutationRate,
+            conflictData: this.getConflictData(),
+            diversity: this.diversity,
+            occupancy: this.getOccupancy(),
+            solutionsFound: this.isCollectingSolutions() ? this.solutions.size : undefined,
+            fundamentalSolutions: this.isCollectingSolutions() ? this.solutions.fundamentalCount : undefined
+        });
+    }
+
+    /**
+     * Finaliza la ejecución y notifica resultado
+     */
+    finish(success) {
+        this.isRunning = false;
+        this.isStepMode = false;
+        this.paused = false;
+        this.events.emit('complete', { success, generations: this.currentGeneration, reason: this.endReason });
+    }
+
+    /**
+     * Utilidad para dormir asincrónicamente
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Escribe mensajes en el log externo si existe
+     */
+    log(message) {
+        this.events.emit('log', message);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NQueensSolver;
+    module.exports.SeededRandom = SeededRandom;
+    module.exports.SolverEvents = SolverEvents;
+    module.exports.SOLVER_EVENTS = SOLVER_EVENTS;
+    module.exports.END_REASONS = END_REASONS;
+    module.exports.RESTART_POLICIES = RESTART_POLICIES;
+    module.exports.CheckpointError = CheckpointError;
+    module.exports.CHECKPOINT_OVERRIDES = CHECKPOINT_OVERRIDES;
+    module.exports.validateCheckpoint = validateCheckpoint;
+    module.exports.DiagonalConflictCounter = DiagonalConflictCounter;
+    module.exports.QUEEN_VARIANTS = QUEEN_VARIANTS;
+    module.exports.QueensRules = QueensRules;
+    module.exports.SolutionArchive = SolutionArchive;
+    module.exports.SELECTION_STRATEGIES = SELECTION_STRATEGIES;
+    module.exports.CROSSOVER_OPERATORS = CROSSOVER_OPERATORS;
+    module.exports.MUTATION_OPERATORS = MUTATION_OPERATORS;
+    module.exports.MUTATION_SCHEDULES = MUTATION_SCHEDULES;
+}
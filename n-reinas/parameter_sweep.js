@@ -0,0 +1,133 @@
+/**
+ * Barrido de parámetros del algoritmo genético: tamaño de población y tasa de mutación.
+ * Genera los puntos a evaluar a partir de dos listas de valores, ya sea la rejilla
+ * completa o una muestra aleatoria (con semilla) de sus combinaciones; cada punto se
+ * ejecuta varias veces con BenchmarkRunner usando las mismas semillas para que las
+ * configuraciones se comparen en igualdad de condiciones. Las configuraciones se
+ * ordenan por tasa de éxito y, a igualdad, por la mediana de generaciones.
+ */
+
+const sweepCore = typeof module !== 'undefined' && module.exports ?
+    require('./nqueens_correct.js') : { SeededRandom };
+
+/**
+ * Error en las listas de valores del barrido
+ */
+class SweepError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SweepError';
+    }
+}
+
+/**
+ * Estrategias de búsqueda: `points(populationSizes, mutationRates, { samples, random })`
+ * devuelve la lista de combinaciones { populationSize, mutationRate } a evaluar
+ */
+const SWEEP_STRATEGIES = {
+    grid: {
+        label: 'Rejilla completa',
+        points: (populationSizes, mutationRates) => populationSizes.flatMap(populationSize =>
+            mutationRates.map(mutationRate => ({ populationSize, mutationRate })))
+    },
+    random: {
+        label: 'Búsqueda aleatoria',
+        points: (populationSizes, mutationRates, { samples, random }) => {
+            // Fisher-Yates parcial sobre la rejilla: combinaciones distintas sin repetir
+            const grid = SWEEP_STRATEGIES.grid.points(populationSizes, mutationRates);
+            const count = Math.min(grid.length, Math.max(1, samples));
+            for (let i = 0; i < count; i++) {
+                const j = i + random.nextInt(grid.length - i);
+                [grid[i], grid[j]] = [grid[j], grid[i]];
+            }
+            return grid.slice(0, count);
+        }
+    }
+};
+
+/**
+ * Interpreta una lista de valores ("50, 100, 200") o un rango "inicio:fin:paso" (50:300:50).
+ * Devuelve los valores ordenados y sin repetir.
+ */
+function parseSweepValues(text, { name, integer = false, min = -Infinity, max = Infinity } = {}) {
+    const values = [];
+    const tokens = String(text).split(/[\s,;]+/).filter(Boolean);
+
+    tokens.forEach(token => {
+        const parts = token.split(':').map(Number);
+        if (parts.some(value => !Number.isFinite(value)) || (parts.length !== 1 && parts.length !== 3)) {
+            throw new SweepError(`${name}: "${token}" no es un número ni un rango inicio:fin:paso`);
+        }
+        if (parts.length === 1) {
+            values.push(parts[0]);
+            return;
+        }
+
+        const [start, end, step] = parts;
+        if (!(step > 0) || end < start || (end - start) / step > 1000) {
+            throw new SweepError(`${name}: el rango "${token}" debe ir de menor a mayor con un paso positivo`);
+        }
+        // Se redondea para que 0.05:0.2:0.05 no acumule errores de coma flotante
+        for (let index = 0; start + index * step <= end + step * 1e-9; index++) {
+            values.push(Number((start + index * step).toPrecision(12)));
+        }
+    });
+
+    if (!values.length) {
+        throw new SweepError(`${name}: indica al menos un valor`);
+    }
+    values.forEach(value => {
+        if (integer && !Number.isInteger(value)) {
+            throw new SweepError(`${name}: ${value} no es un entero`);
+        }
+        if (value < min || value > max) {
+            throw new SweepError(`${name}: ${value} está fuera del rango admitido (${min}-${max})`);
+        }
+    });
+
+    return [...new Set(values)].sort((a, b) => a - b);
+}
+
+/**
+ * Configuraciones de solver del barrido: la configuración base con cada punto aplicado
+ */
+function buildSweepConfigs(baseConfig, { populationSizes, mutationRates, strategy = 'grid', samples = 10, seed = null }) {
+    const entry = SWEEP_STRATEGIES[strategy];
+    if (!entry) {
+        throw new SweepError(`Estrategia de barrido desconocida: ${strategy}`);
+    }
+
+    const random = new sweepCore.SeededRandom(seed ?? sweepCore.SeededRandom.randomSeed());
+    return entry.points(populationSizes, mutationRates, { samples, random })
+        .map(point => ({ ...baseConfig, ...point }));
+}
+
+/**
+ * Compara dos resúmenes del banco de pruebas: más éxito, menos generaciones (mediana), menos tiempo
+ */
+function compareSweepResults(a, b) {
+    const median = result => result.generations.median ?? Infinity;
+    return (b.successRate - a.successRate) ||
+        (median(a) - median(b)) ||
+        ((a.timeMs.mean ?? Infinity) - (b.timeMs.mean ?? Infinity));
+}
+
+/**
+ * Ordena los resúmenes de BenchmarkRunner de mejor a peor y añade su posición (rank, desde 1)
+ */
+function rankSweepResults(results) {
+    return [...results]
+        .sort(compareSweepResults)
+        .map((result, index) => ({ ...result, rank: index + 1 }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SWEEP_STRATEGIES,
+        SweepError,
+        parseSweepValues,
+        buildSweepConfigs,
+        compareSweepResults,
+        rankSweepResults
+    };
+}
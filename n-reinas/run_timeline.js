@@ -0,0 +1,214 @@
+/**
+ * Grabación de ejecuciones y línea de tiempo para reproducirlas.
+ * RunRecorder guarda, generación a generación, el mejor individuo, los conflictos,
+ * el fitness y el fitness promedio de cada actualización del solver (sin agrupar por
+ * frames). Como mucho guarda maxFrames generaciones: al superarlas se queda con una de
+ * cada dos y a partir de ahí graba una de cada `stride`, conservando siempre la última.
+ * RunTimeline permite recorrer la grabación con un deslizador y
+ * reproducirla a distintas velocidades sin volver a ejecutar el solver.
+ */
+
+class RunRecorder {
+    constructor(maxFrames = 1000) {
+        this.maxFrames = maxFrames;
+        this.clear();
+    }
+
+    /**
+     * Descarta la grabación (nueva ejecución)
+     */
+    clear() {
+        this.frames = [];
+        this.stride = 1;
+        this.sequence = 0;
+    }
+
+    /**
+     * Número de generaciones grabadas
+     */
+    get length() {
+        return this.frames.length;
+    }
+
+    /**
+     * Graba una actualización. Una generación repetida sustituye a la anterior y una
+     * generación menor indica que el solver ha vuelto a empezar. Si el tablero no cambia
+     * se reutiliza el de la generación previa para ahorrar memoria.
+     */
+    record({ board, conflicts, generation, fitness, avgFitness }) {
+        if (typeof generation !== 'number' || !board) {
+            return;
+        }
+        if (this.frames.length && generation < this.frames[this.frames.length - 1].generation) {
+            this.clear();
+        }
+
+        const last = this.frames[this.frames.length - 1];
+        const sameBoard = last && last.board.length === board.length &&
+            last.board.every((col, index) => col === board[index]);
+
+        const repeated = last && last.generation === generation;
+        const frame = {
+            generation,
+            sequence: repeated ? last.sequence : this.sequence++,
+            board: sameBoard ? last.board : [...board],
+            conflicts,
+            fitness,
+            avgFitness
+        };
+
+        // La última generación se guarda siempre, pero solo se conserva si le toca según stride
+        if (last && (repeated || last.sequence % this.stride !== 0)) {
+            this.frames[this.frames.length - 1] = frame;
+        } else {
+            this.frames.push(frame);
+        }
+
+        if (this.frames.length > this.maxFrames) {
+            this.stride *= 2;
+            this.frames = this.frames.filter((kept, index) =>
+                kept.sequence % this.stride === 0 || index === this.frames.length - 1);
+        }
+    }
+
+    /**
+     * Generación grabada en la posición indicada
+     */
+    getFrame(index) {
+        return this.frames[index] || null;
+    }
+}
+
+class RunTimeline {
+    constructor(app, recorder) {
+        this.app = app;
+        this.recorder = recorder;
+        this.index = 0;
+        this.timer = null;
+        this.enabled = true;
+
+        this.container = document.getElementById('timeline');
+        this.slider = document.getElementById('timelineSlider');
+        this.playButton = document.getElementById('timelinePlayBtn');
+        this.speedSelect = document.getElementById('timelineSpeed');
+        this.label = document.getElementById('timelineLabel');
+
+        this.slider.addEventListener('input', () => {
+            this.pause();
+            this.seek(parseInt(this.slider.value, 10));
+        });
+        this.playButton.addEventListener('click', () => {
+            if (this.isPlaying()) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+    }
+
+    /**
+     * Indica si se está reproduciendo la grabación
+     */
+    isPlaying() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Activa la línea de tiempo (solo con el solver detenido) y la sitúa al final
+     */
+    setEnabled(enabled) {
+        if (!enabled) {
+            this.pause();
+        }
+        this.enabled = enabled;
+        this.refresh(true);
+    }
+
+    /**
+     * Sincroniza el deslizador con la grabación
+     */
+    refresh(moveToEnd = false) {
+        const count = this.recorder.length;
+        this.container.hidden = count < 2;
+        this.slider.max = Math.max(0, count - 1);
+        this.slider.disabled = !this.enabled;
+        this.playButton.disabled = !this.enabled;
+        this.speedSelect.disabled = !this.enabled;
+
+        if (moveToEnd || this.index >= count) {
+            this.index = Math.max(0, count - 1);
+        }
+        this.slider.value = this.index;
+        this.updateLabel();
+    }
+
+    /**
+     * Texto con la generación mostrada
+     */
+    updateLabel() {
+        const frame = this.recorder.getFrame(this.index);
+        const last = this.recorder.getFrame(this.recorder.length - 1);
+        this.label.textContent = frame ?
+            `${this.app.getSolverEntry().infoLabel} ${frame.generation} / ${last.generation}` : '-';
+    }
+
+    /**
+     * Muestra la generación grabada en la posición indicada
+     */
+    seek(index) {
+        const frame = this.recorder.getFrame(index);
+        if (!frame) {
+            return;
+        }
+
+        this.index = index;
+        this.slider.value = index;
+        this.updateLabel();
+        this.app.showRecordedFrame(frame);
+    }
+
+    /**
+     * Reproduce la grabación desde la posición actual (o desde el principio si está al final)
+     */
+    play() {
+        if (!this.enabled || this.recorder.length < 2) {
+            return;
+        }
+        if (this.index >= this.recorder.length - 1) {
+            this.seek(0);
+        }
+
+        this.playButton.innerHTML = '<i class="fas fa-pause"></i>';
+        this.scheduleTick();
+    }
+
+    /**
+     * Programa el siguiente avance; por encima de 60 generaciones/s se saltan generaciones
+     */
+    scheduleTick() {
+        const framesPerSecond = parseFloat(this.speedSelect.value) || 10;
+        const interval = Math.max(16, 1000 / framesPerSecond);
+        const stride = Math.max(1, Math.round(framesPerSecond * interval / 1000));
+
+        this.timer = setTimeout(() => {
+            const next = Math.min(this.recorder.length - 1, this.index + stride);
+            this.seek(next);
+            if (next >= this.recorder.length - 1) {
+                this.pause();
+            } else {
+                this.scheduleTick();
+            }
+        }, interval);
+    }
+
+    /**
+     * Detiene la reproducción
+     */
+    pause() {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.playButton.innerHTML = '<i class="fas fa-play"></i>';
+    }
+}
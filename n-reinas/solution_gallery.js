@@ -0,0 +1,98 @@
+/**
+ * Galería de soluciones distintas encontradas durante una ejecución.
+ * Muestra una miniatura por solución, marca las fundamentales (primera de cada
+ * clase de simetría) y carga en el tablero la solución que se pulsa.
+ */
+
+class SolutionGallery {
+    constructor(app) {
+        this.app = app;
+        this.solutions = [];
+        this.thumbnailSize = 72;
+
+        this.container = document.getElementById('solutionGallery');
+        this.summaryElement = document.getElementById('solutionGallerySummary');
+        this.grid = document.getElementById('solutionGalleryGrid');
+    }
+
+    /**
+     * Vacía la galería (nueva ejecución)
+     */
+    clear() {
+        this.solutions = [];
+        this.grid.innerHTML = '';
+        this.container.hidden = true;
+        this.updateSummary();
+    }
+
+    /**
+     * Añade la miniatura de una solución nueva
+     */
+    add(solution) {
+        this.solutions.push(solution);
+        this.container.hidden = false;
+
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = `solution-thumb${solution.isFundamental ? ' fundamental' : ''}`;
+        item.title = `Solución ${solution.index + 1}: [${solution.board.join(', ')}]\n` +
+            `${solution.isFundamental ? 'Fundamental' : 'Copia simétrica'} de la clase ${solution.classIndex + 1}`;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.thumbnailSize;
+        canvas.height = this.thumbnailSize;
+        this.drawThumbnail(canvas, solution.board);
+
+        const caption = document.createElement('span');
+        caption.className = 'solution-thumb-caption';
+        caption.textContent = `#${solution.index + 1} · C${solution.classIndex + 1}`;
+
+        item.appendChild(canvas);
+        item.appendChild(caption);
+        item.addEventListener('click', () => {
+            this.grid.querySelectorAll('.solution-thumb.selected').forEach(element => {
+                element.classList.remove('selected');
+            });
+            item.classList.add('selected');
+            this.app.showSolution(solution);
+        });
+
+        this.grid.appendChild(item);
+        this.updateSummary();
+    }
+
+    /**
+     * Resumen de soluciones distintas y fundamentales
+     */
+    updateSummary() {
+        const fundamentals = this.solutions.filter(solution => solution.isFundamental).length;
+        this.summaryElement.textContent = `${this.solutions.length} distintas, ${fundamentals} fundamentales`;
+    }
+
+    /**
+     * Dibuja el tablero en miniatura con una marca por reina
+     */
+    drawThumbnail(canvas, board) {
+        const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+        if (!ctx) {
+            return;
+        }
+
+        const N = board.length;
+        const cell = canvas.width / N;
+
+        for (let row = 0; row < N; row++) {
+            for (let col = 0; col < N; col++) {
+                ctx.fillStyle = (row + col) % 2 === 0 ? '#f0d9b5' : '#b58863';
+                ctx.fillRect(col * cell, row * cell, cell, cell);
+            }
+        }
+
+        ctx.fillStyle = '#ee5a24';
+        board.forEach((col, row) => {
+            ctx.beginPath();
+            ctx.arc((col + 0.5) * cell, (row + 0.5) * cell, Math.max(1, cell * 0.35), 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+}
@@ -0,0 +1,484 @@
+/**
+ * Cliente que ejecuta los solvers (ver SOLVER_TYPES) dentro de un Web Worker.
+ * Expone la misma interfaz que NQueensSolver (initialize/solve/step/stop/reset,
+ * setCallbacks y getters) para que NQueensApp no dependa de dónde se ejecuta.
+ * Si el navegador no permite crear el worker (p. ej. al abrir index.html con file://)
+ * se recurre a un solver en el hilo principal.
+ */
+
+class SolverWorkerClient {
+    constructor(workerUrl = 'solver_worker.js') {
+        this.worker = null;
+        this.localSolver = null;
+        this.localSolverType = null;
+        this.workerReady = false;
+
+        this.callbacks = {
+            onUpdate: null,
+            onGeneration: null,
+            onComplete: null,
+            onLog: null,
+            onSolution: null
+        };
+
+        this.state = {
+            running: false,
+            stats: null
+        };
+        this.lastConfig = null;
+        this.lastCommandId = 0;
+
+        this.pendingUpdate = null;
+        this.frameRequested = false;
+        this.pendingRuns = [];
+        this.checkpointRequests = [];
+        this.benchmark = null;
+
+        this.createWorker(workerUrl);
+    }
+
+    /**
+     * Crea el worker o activa el modo local si no es posible
+     */
+    createWorker(workerUrl) {
+        if (typeof Worker === 'undefined') {
+            this.useLocalSolver();
+            return;
+        }
+
+        try {
+            this.worker = new Worker(workerUrl);
+        } catch (error) {
+            this.useLocalSolver();
+            return;
+        }
+
+        this.worker.onmessage = (event) => {
+            this.workerReady = true;
+            this.handleMessage(event.data);
+        };
+
+        this.worker.onerror = (event) => {
+            // Un error antes del primer mensaje indica que el worker no pudo cargarse
+            if (!this.workerReady) {
+                event.preventDefault();
+                this.worker.terminate();
+                this.worker = null;
+                this.useLocalSolver(this.lastConfig?.solver);
+                if (this.lastConfig) {
+                    this.localSolver.initialize(this.lastConfig);
+                }
+            }
+        };
+    }
+
+    /**
+     * Sustituye el worker por un solver en el hilo principal
+     */
+    useLocalSolver(type = 'genetic') {
+        if (this.localSolver) {
+            this.localSolver.stop();
+        }
+        this.localSolverType = type;
+        this.localSolver = createSolver(type);
+        this.localSolver.setCallbacks({
+            onUpdate: (payload) => this.queueUpdate(payload),
+            onComplete: (success, generations, reason) => {
+                this.flushUpdate();
+                this.emit('onComplete', success, generations, reason);
+            },
+            onLog: (message) => this.emit('onLog', message),
+            onSolution: (solution) => this.emit('onSolution', solution)
+        });
+    }
+
+    /**
+     * Indica si el solver se ejecuta en un worker
+     */
+    isUsingWorker() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Procesa un mensaje recibido del worker
+     */
+    handleMessage(message) {
+        // El estado de ejecución solo es fiable cuando el worker ya procesó el último comando
+        const caughtUp = message.state && message.state.command === this.lastCommandId;
+        if (message.state) {
+            this.state = {
+                running: caughtUp ? message.state.running : this.state.running,
+                stats: message.state.stats
+            };
+        }
+
+        switch (message.type) {
+            case 'update':
+                this.queueUpdate(message.payload);
+                break;
+            case 'complete':
+                this.flushUpdate();
+                this.emit('onComplete', message.success, message.generations, message.reason);
+                break;
+            case 'log':
+                this.emit('onLog', message.message);
+                break;
+            case 'solution':
+                this.emit('onSolution', message.solution);
+                break;
+            case 'checkpoint':
+                this.checkpointRequests.shift().resolve(message.checkpoint);
+                break;
+            case 'checkpointLoaded':
+                this.checkpointRequests.shift().resolve();
+                break;
+            case 'checkpointError':
+                this.checkpointRequests.shift().reject(new CheckpointError(message.message));
+                break;
+            case 'benchmarkProgress':
+                if (this.benchmark && this.benchmark.onProgress) {
+                    this.benchmark.onProgress(message.progress);
+                }
+                break;
+            case 'benchmarkComplete':
+                if (this.benchmark) {
+                    this.benchmark.resolve(message.outcome);
+                    this.benchmark = null;
+                }
+                break;
+            default:
+                break;
+        }
+
+        if (caughtUp && !this.state.running) {
+            this.resolvePendingRuns();
+        }
+    }
+
+    /**
+     * Guarda la última actualización y la entrega en el siguiente frame.
+     * onGeneration recibe todas las actualizaciones, sin agrupar (para grabarlas).
+     */
+    queueUpdate(payload) {
+        this.emit('onGeneration', payload);
+        this.pendingUpdate = payload;
+
+        if (this.frameRequested) {
+            return;
+        }
+
+        this.frameRequested = true;
+        const schedule = typeof requestAnimationFrame === 'function' ?
+            requestAnimationFrame : (callback) => setTimeout(callback, 16);
+        schedule(() => this.flushUpdate());
+    }
+
+    /**
+     * Entrega inmediatamente la actualización pendiente, si existe
+     */
+    flushUpdate() {
+        this.frameRequested = false;
+        if (!this.pendingUpdate) {
+            return;
+        }
+
+        const payload = this.pendingUpdate;
+        this.pendingUpdate = null;
+        this.emit('onUpdate', payload);
+    }
+
+    /**
+     * Invoca un callback registrado
+     */
+    emit(name, ...args) {
+        if (this.callbacks[name]) {
+            this.callbacks[name](...args);
+        }
+    }
+
+    /**
+     * Envía un comando al worker
+     */
+    post(type, config) {
+        this.lastCommandId += 1;
+        this.worker.postMessage({ type, config, id: this.lastCommandId });
+    }
+
+    /**
+     * Promesa que se resuelve cuando el worker deja de ejecutar
+     */
+    waitForIdle() {
+        return new Promise(resolve => this.pendingRuns.push(resolve));
+    }
+
+    /**
+     * Resuelve las promesas de ejecución pendientes
+     */
+    resolvePendingRuns() {
+        const pending = this.pendingRuns;
+        this.pendingRuns = [];
+        pending.forEach(resolve => resolve());
+    }
+
+    /**
+     * Inicializa el solver con los parámetros proporcionados
+     */
+    initialize(config) {
+        this.lastConfig = { ...config };
+        if (this.localSolver) {
+            const type = config.solver ?? 'genetic';
+            if (type !== this.localSolverType) {
+                this.useLocalSolver(type);
+            }
+            this.localSolver.initialize(config);
+            return;
+        }
+        this.post('initialize', this.lastConfig);
+    }
+
+    /**
+     * Ejecuta el algoritmo en modo automático
+     */
+    solve() {
+        if (this.localSolver) {
+            return this.localSolver.solve();
+        }
+        if (this.state.running) {
+            return Promise.resolve();
+        }
+        this.state = { ...this.state, running: true };
+        this.post('solve');
+        return this.waitForIdle();
+    }
+
+    /**
+     * Ejecuta una única generación en modo paso a paso
+     */
+    step() {
+        if (this.localSolver) {
+            return this.localSolver.step();
+        }
+        this.post('step');
+        return this.waitForIdle();
+    }
+
+    /**
+     * Detiene la ejecución en curso
+     */
+    stop() {
+        if (this.localSolver) {
+            this.localSolver.stop();
+            return;
+        }
+        this.state = { ...this.state, running: false };
+        this.post('stop');
+    }
+
+    /**
+     * Pausa la ejecución en curso; solve() la reanuda (solo el algoritmo genético)
+     */
+    pause() {
+        if (this.localSolver) {
+            if (this.localSolver.pause) {
+                this.localSolver.pause();
+            }
+            return;
+        }
+        this.post('pause');
+    }
+
+    /**
+     * Indica si hay una ejecución en pausa
+     */
+    isPaused() {
+        if (this.localSolver) {
+            return this.localSolver.isPaused ? this.localSolver.isPaused() : false;
+        }
+        return Boolean(this.state.stats && this.state.stats.paused);
+    }
+
+    /**
+     * Promesa con el punto de control de la ejecución actual (ver NQueensSolver.getCheckpoint)
+     */
+    getCheckpoint() {
+        if (this.localSolver) {
+            return this.localSolver.getCheckpoint ?
+                Promise.resolve(this.localSolver.getCheckpoint()) :
+                Promise.reject(new CheckpointError('El solver activo no admite puntos de control'));
+        }
+        return this.requestCheckpoint('checkpoint');
+    }
+
+    /**
+     * Carga un punto de control en el algoritmo genético; la promesa se rechaza con
+     * CheckpointError si no es válido
+     */
+    loadCheckpoint(checkpoint, overrides = {}) {
+        if (this.localSolver) {
+            try {
+                if (this.localSolverType !== 'genetic') {
+                    this.useLocalSolver('genetic');
+                }
+                this.localSolver.loadCheckpoint(checkpoint, overrides);
+                return Promise.resolve();
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        return this.requestCheckpoint('loadCheckpoint', { checkpoint, overrides });
+    }
+
+    /**
+     * Envía una petición de punto de control al worker y espera su respuesta
+     */
+    requestCheckpoint(type, config) {
+        return new Promise((resolve, reject) => {
+            this.checkpointRequests.push({ resolve, reject });
+            this.post(type, config);
+        });
+    }
+
+    /**
+     * Reinicia el solver con nuevos individuos aleatorios
+     */
+    reset() {
+        if (this.localSolver) {
+            this.localSolver.reset();
+            return;
+        }
+        this.state = { ...this.state, running: false };
+        this.post('reset');
+    }
+
+    /**
+     * Ejecuta un banco de pruebas (ver BenchmarkRunner.run) sin bloquear la interfaz
+     */
+    runBenchmark(options, onProgress = null) {
+        if (this.localSolver) {
+            this.benchmark = new BenchmarkRunner();
+            return this.benchmark.run({ ...options, onProgress }).finally(() => {
+                this.benchmark = null;
+            });
+        }
+
+        return new Promise(resolve => {
+            this.benchmark = { resolve, onProgress };
+            this.post('benchmark', options);
+        });
+    }
+
+    /**
+     * Detiene el banco de pruebas en curso tras la ejecución actual
+     */
+    stopBenchmark() {
+        if (!this.benchmark) {
+            return;
+        }
+        if (this.localSolver) {
+            this.benchmark.stop();
+            return;
+        }
+        this.post('benchmarkStop');
+    }
+
+    /**
+     * Indica si hay un banco de pruebas en curso
+     */
+    isBenchmarking() {
+        return this.benchmark !== null;
+    }
+
+    /**
+     * Registra callbacks externos
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Devuelve el mejor tablero conocido
+     */
+    getBoard() {
+        if (this.localSolver) {
+            return this.localSolver.getBoard();
+        }
+        return this.state.stats ? [...this.state.stats.board] : [];
+    }
+
+    /**
+     * Conflictos del mejor individuo
+     */
+    getConflicts() {
+        if (this.localSolver) {
+            return this.localSolver.getConflicts();
+        }
+        return this.state.stats ? this.state.stats.conflicts : Infinity;
+    }
+
+    /**
+     * Fitness del mejor individuo
+     */
+    getCurrentFitness() {
+        if (this.localSolver) {
+            return this.localSolver.getCurrentFitness();
+        }
+        return this.state.stats ? this.state.stats.bestFitness : 0;
+    }
+
+    /**
+     * Iteraciones/generaciones acumuladas
+     */
+    getIterations() {
+        if (this.localSolver) {
+            return this.localSolver.getIterations();
+        }
+        return this.state.stats ? this.state.stats.generations : 0;
+    }
+
+    /**
+     * Determina si el algoritmo está ejecutándose
+     */
+    isExecuting() {
+        if (this.localSolver) {
+            return this.localSolver.isExecuting();
+        }
+        return this.state.running;
+    }
+
+    /**
+     * Eficiencia relativa al máximo de generaciones permitido
+     */
+    getEfficiency() {
+        if (this.localSolver) {
+            return this.localSolver.getEfficiency();
+        }
+        return this.state.stats ? this.state.stats.efficiency : '-';
+    }
+
+    /**
+     * Semilla efectiva de la ejecución actual
+     */
+    getSeed() {
+        if (this.localSolver) {
+            return this.localSolver.getSeed();
+        }
+        return this.state.stats ? this.state.stats.seed : null;
+    }
+
+    /**
+     * Estadísticas en formato amigable para la UI
+     */
+    getPerformanceStats() {
+        if (this.localSolver) {
+            return this.localSolver.getPerformanceStats();
+        }
+        return this.state.stats ? { ...this.state.stats } : {
+            conflicts: Infinity,
+            generations: 0,
+            iterations: 0,
+            efficiency: '-',
+            solutionFound: false,
+            board: []
+        };
+    }
+}
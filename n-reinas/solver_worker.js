@@ -0,0 +1,126 @@
+/**
+ * Web Worker que ejecuta los solvers fuera del hilo principal.
+ * Traduce los mensajes de la aplicación a llamadas del solver y reenvía
+ * sus callbacks (onUpdate/onComplete/onLog/onSolution) como mensajes.
+ */
+
+importScripts('nqueens_correct.js', 'backtracking_solver.js', 'local_search_solvers.js', 'island_solver.js', 'solvers.js', 'benchmark.js');
+
+let solverType = 'genetic';
+let solver = createSolver(solverType);
+let benchmarkRunner = null;
+let lastCommandId = 0;
+
+/**
+ * Estado del solver que acompaña a cada mensaje para que el cliente
+ * pueda responder consultas síncronas (getBoard, isExecuting, ...)
+ */
+function getSolverState() {
+    return {
+        command: lastCommandId,
+        running: solver.isExecuting(),
+        stats: solver.getPerformanceStats()
+    };
+}
+
+/**
+ * Conecta los callbacks del solver activo con los mensajes al hilo principal
+ */
+function attachCallbacks() {
+    solver.setCallbacks({
+        onUpdate: (payload) => {
+            self.postMessage({ type: 'update', payload, state: getSolverState() });
+        },
+        onComplete: (success, generations, reason) => {
+            self.postMessage({ type: 'complete', success, generations, reason, state: getSolverState() });
+        },
+        onLog: (message) => {
+            self.postMessage({ type: 'log', message, state: getSolverState() });
+        },
+        onSolution: (solution) => {
+            self.postMessage({ type: 'solution', solution, state: getSolverState() });
+        }
+    });
+}
+
+/**
+ * Sustituye el solver activo si la configuración pide otro tipo
+ */
+function ensureSolverType(type = 'genetic') {
+    if (type === solverType) {
+        return;
+    }
+
+    solver.stop();
+    solverType = type;
+    solver = createSolver(type);
+    attachCallbacks();
+}
+
+attachCallbacks();
+
+self.onmessage = async (event) => {
+    const { type, config, id } = event.data;
+    lastCommandId = id;
+
+    switch (type) {
+        case 'initialize':
+            ensureSolverType(config.solver);
+            solver.initialize(config);
+            break;
+        case 'solve':
+            await solver.solve();
+            break;
+        case 'step':
+            await solver.step();
+            break;
+        case 'stop':
+            solver.stop();
+            break;
+        case 'pause':
+            if (solver.pause) {
+                solver.pause();
+            }
+            break;
+        case 'checkpoint':
+            if (!solver.getCheckpoint) {
+                self.postMessage({ type: 'checkpointError', message: 'El solver activo no admite puntos de control' });
+                break;
+            }
+            self.postMessage({ type: 'checkpoint', checkpoint: solver.getCheckpoint() });
+            break;
+        case 'loadCheckpoint':
+            // Los puntos de control solo los genera el algoritmo genético
+            ensureSolverType('genetic');
+            try {
+                solver.loadCheckpoint(config.checkpoint, config.overrides);
+                self.postMessage({ type: 'checkpointLoaded', state: getSolverState() });
+            } catch (error) {
+                self.postMessage({ type: 'checkpointError', message: error.message });
+            }
+            break;
+        case 'reset':
+            solver.reset();
+            break;
+        case 'benchmark': {
+            // El banco de pruebas usa sus propias instancias y no altera el solver activo
+            benchmarkRunner = new BenchmarkRunner();
+            const outcome = await benchmarkRunner.run({
+                ...config,
+                onProgress: (progress) => self.postMessage({ type: 'benchmarkProgress', progress })
+            });
+            self.postMessage({ type: 'benchmarkComplete', outcome });
+            break;
+        }
+        case 'benchmarkStop':
+            if (benchmarkRunner) {
+                benchmarkRunner.stop();
+            }
+            break;
+        default:
+            self.postMessage({ type: 'log', message: `Mensaje desconocido para el worker: ${type}`, state: getSolverState() });
+            return;
+    }
+
+    self.postMessage({ type: 'state', state: getSolverState() });
+};
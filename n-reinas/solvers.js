@@ -0,0 +1,64 @@
+/**
+ * Registro de los solvers disponibles. Todos comparten el contrato de NQueensSolver
+ * (initialize/solve/step/stop/reset, setCallbacks y getters), por lo que la aplicación
+ * y el worker pueden intercambiarlos sin conocer su implementación.
+ */
+
+const solverClasses = typeof module !== 'undefined' && module.exports ? {
+    NQueensSolver: require('./nqueens_correct.js'),
+    BacktrackingSolver: require('./backtracking_solver.js'),
+    IslandModelSolver: require('./island_solver.js'),
+    ...require('./local_search_solvers.js')
+} : { NQueensSolver, BacktrackingSolver, IslandModelSolver, MinConflictsSolver, SimulatedAnnealingSolver };
+
+const SOLVER_TYPES = {
+    genetic: {
+        label: 'Algoritmo Evolutivo (Genético)',
+        iterationLabel: 'generaciones',
+        infoLabel: 'Generación',
+        statusLabel: 'Evolucionando población...',
+        // Admite pause()/resume() y puntos de control
+        pausable: true,
+        create: () => new solverClasses.NQueensSolver()
+    },
+    islands: {
+        label: 'Algoritmo genético en islas',
+        iterationLabel: 'generaciones',
+        infoLabel: 'Generación',
+        statusLabel: 'Evolucionando islas...',
+        create: () => new solverClasses.IslandModelSolver()
+    },
+    backtracking: {
+        label: 'Backtracking con máscaras de bits',
+        iterationLabel: 'nodos',
+        infoLabel: 'Nodos',
+        statusLabel: 'Explorando el árbol de búsqueda...',
+        create: () => new solverClasses.BacktrackingSolver()
+    },
+    minConflicts: {
+        label: 'Min-conflicts (hill climbing)',
+        iterationLabel: 'iteraciones',
+        infoLabel: 'Iteración',
+        statusLabel: 'Reparando conflictos...',
+        create: () => new solverClasses.MinConflictsSolver()
+    },
+    annealing: {
+        label: 'Recocido simulado',
+        iterationLabel: 'iteraciones',
+        infoLabel: 'Iteración',
+        statusLabel: 'Enfriando...',
+        create: () => new solverClasses.SimulatedAnnealingSolver()
+    }
+};
+
+/**
+ * Crea una instancia del solver indicado (por defecto, el algoritmo evolutivo)
+ */
+function createSolver(type) {
+    const entry = SOLVER_TYPES[type] || SOLVER_TYPES.genetic;
+    return entry.create();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SOLVER_TYPES, createSolver };
+}
@@ -0,0 +1,238 @@
+/**
+ * Panel de ajuste de parámetros: barre tamaños de población y tasas de mutación para el
+ * N actual, muestra el resultado como mapa de calor (población × mutación, coloreado
+ * por tasa de éxito) junto a la clasificación de configuraciones y permite aplicar la
+ * mejor (o cualquier celda del mapa) a los controles.
+ */
+
+class SweepPanel {
+    constructor(app) {
+        this.app = app;
+        this.ranked = [];
+        this.isRunning = false;
+        this.rankingSize = 10;
+
+        this.populationsInput = document.getElementById('sweepPopulations');
+        this.mutationsInput = document.getElementById('sweepMutations');
+        this.strategySelect = document.getElementById('sweepStrategy');
+        this.samplesInput = document.getElementById('sweepSamples');
+        this.runsInput = document.getElementById('sweepRuns');
+        this.runButton = document.getElementById('sweepBtn');
+        this.applyButton = document.getElementById('sweepApplyBtn');
+        this.progressElement = document.getElementById('sweepProgress');
+        this.heatmapElement = document.getElementById('sweepHeatmap');
+        this.rankingBody = document.querySelector('#sweepRanking tbody');
+
+        this.runButton.addEventListener('click', () => {
+            if (this.isRunning) {
+                this.app.solver.stopBenchmark();
+            } else {
+                this.start();
+            }
+        });
+        this.applyButton.addEventListener('click', () => {
+            if (this.ranked.length) {
+                this.apply(this.ranked[0]);
+            }
+        });
+        this.strategySelect.addEventListener('change', () => this.updateSamplesVisibility());
+        this.updateSamplesVisibility();
+    }
+
+    /**
+     * El número de muestras solo tiene sentido en la búsqueda aleatoria
+     */
+    updateSamplesVisibility() {
+        this.samplesInput.closest('.control-group').hidden = this.strategySelect.value !== 'random';
+    }
+
+    /**
+     * Lanza el barrido con la configuración actual como base
+     */
+    async start() {
+        if (this.app.solver.isBenchmarking()) {
+            this.progressElement.textContent = 'Espera a que termine el benchmark en curso';
+            return;
+        }
+
+        let populationSizes;
+        let mutationRates;
+        try {
+            populationSizes = parseSweepValues(this.populationsInput.value, {
+                name: 'Poblaciones', integer: true, min: 10, max: 500
+            });
+            mutationRates = parseSweepValues(this.mutationsInput.value, {
+                name: 'Tasas de mutación', min: 0, max: 1
+            });
+        } catch (error) {
+            this.progressElement.textContent = error.message;
+            return;
+        }
+
+        const runs = Math.max(1, Math.min(100, parseInt(this.runsInput.value, 10) || 5));
+        const samples = Math.max(1, parseInt(this.samplesInput.value, 10) || 10);
+        this.runsInput.value = runs;
+        this.samplesInput.value = samples;
+
+        // Las ejecuciones siempre llevan semilla: con la del control o con una aleatoria que se anota
+        const { seed, ...config } = this.app.readSolverConfig();
+        const baseSeed = seed ?? SeededRandom.randomSeed();
+        const solver = ['genetic', 'islands'].includes(config.solver) ? config.solver : 'genetic';
+        const strategy = this.strategySelect.value;
+        const configs = buildSweepConfigs({ ...config, solver }, {
+            populationSizes, mutationRates, strategy, samples, seed: baseSeed
+        });
+
+        this.populationSizes = populationSizes;
+        this.mutationRates = mutationRates;
+        this.setRunning(true);
+        this.app.addLogEntry(`Ajuste de parámetros iniciado (${SWEEP_STRATEGIES[strategy].label.toLowerCase()}): ` +
+            `${configs.length} configuraciones × ${runs} ejecuciones, N=${config.N}, semilla=${baseSeed}`);
+
+        const outcome = await this.app.solver.runBenchmark(
+            { configs, runs, baseSeed },
+            ({ completed, total }) => {
+                this.progressElement.textContent = `Ejecución ${completed}/${total}`;
+            }
+        );
+
+        this.ranked = rankSweepResults(outcome.results);
+        this.setRunning(false);
+        this.renderHeatmap();
+        this.renderRanking();
+
+        const best = this.ranked[0];
+        this.progressElement.textContent = outcome.stopped ?
+            `Ajuste detenido (${outcome.completed}/${outcome.total} ejecuciones)` :
+            `Ajuste completado (${outcome.total} ejecuciones)`;
+        if (best) {
+            this.progressElement.textContent += `; mejor: ${this.describe(best)}`;
+        }
+        this.app.addLogEntry(this.progressElement.textContent, outcome.stopped ? 'warning' : 'success');
+    }
+
+    /**
+     * Actualiza botones y controles mientras se ejecuta el barrido
+     */
+    setRunning(isRunning) {
+        this.isRunning = isRunning;
+        this.runButton.innerHTML = isRunning ?
+            '<i class="fas fa-stop"></i> Detener ajuste' :
+            '<i class="fas fa-sliders-h"></i> Ajustar parámetros';
+        [this.populationsInput, this.mutationsInput, this.strategySelect, this.samplesInput, this.runsInput]
+            .forEach(control => {
+                control.disabled = isRunning;
+            });
+        this.applyButton.disabled = isRunning || !this.ranked.length;
+        this.app.benchmarkPanel.runButton.disabled = isRunning;
+        this.app.solveBtn.disabled = isRunning;
+        this.app.stepBtn.disabled = isRunning;
+    }
+
+    /**
+     * Resumen de una configuración: población, mutación, éxito y mediana de generaciones
+     */
+    describe(result) {
+        const median = result.generations.median;
+        return `población ${result.config.populationSize}, mutación ${result.config.mutationRate} ` +
+            `(${(result.successRate * 100).toFixed(0)}% de éxito` +
+            `${median === null ? '' : `, mediana ${median.toFixed(1)} generaciones`})`;
+    }
+
+    /**
+     * Mapa de calor: una fila por población y una columna por tasa de mutación.
+     * El color indica la tasa de éxito; el texto, la mediana de generaciones.
+     */
+    renderHeatmap() {
+        this.heatmapElement.innerHTML = '';
+        if (!this.ranked.length) {
+            return;
+        }
+
+        const key = (populationSize, mutationRate) => `${populationSize}|${mutationRate}`;
+        const byPoint = new Map(this.ranked.map(result =>
+            [key(result.config.populationSize, result.config.mutationRate), result]));
+
+        const table = document.createElement('table');
+        table.className = 'sweep-heatmap-table';
+
+        const header = document.createElement('tr');
+        header.innerHTML = '<th>Población \\ mutación</th>';
+        this.mutationRates.forEach(rate => {
+            const th = document.createElement('th');
+            th.textContent = rate;
+            header.appendChild(th);
+        });
+        table.appendChild(header);
+
+        this.populationSizes.forEach(populationSize => {
+            const row = document.createElement('tr');
+            const th = document.createElement('th');
+            th.textContent = populationSize;
+            row.appendChild(th);
+
+            this.mutationRates.forEach(mutationRate => {
+                const cell = document.createElement('td');
+                const result = byPoint.get(key(populationSize, mutationRate));
+                if (!result) {
+                    cell.className = 'empty';
+                    cell.textContent = '—';
+                    row.appendChild(cell);
+                    return;
+                }
+
+                const median = result.generations.median;
+                cell.style.background = `hsla(${Math.round(result.successRate * 120)}, 70%, 45%, 0.85)`;
+                cell.innerHTML = `<strong>${(result.successRate * 100).toFixed(0)}%</strong>` +
+                    `<span>${median === null ? '-' : median.toFixed(0)}</span>`;
+                cell.title = `#${result.rank}: ${this.describe(result)}\nClic para aplicar esta configuración`;
+                cell.classList.toggle('best', result.rank === 1);
+                cell.addEventListener('click', () => this.apply(result));
+                row.appendChild(cell);
+            });
+
+            table.appendChild(row);
+        });
+
+        this.heatmapElement.appendChild(table);
+    }
+
+    /**
+     * Clasificación de las mejores configuraciones
+     */
+    renderRanking() {
+        const format = (value, digits = 1) => (value === null ? '-' : value.toFixed(digits));
+        this.rankingBody.innerHTML = '';
+
+        this.ranked.slice(0, this.rankingSize).forEach(result => {
+            const row = document.createElement('tr');
+            [
+                `#${result.rank}`,
+                result.config.populationSize,
+                result.config.mutationRate,
+                `${result.successes}/${result.runs} (${(result.successRate * 100).toFixed(0)}%)`,
+                format(result.generations.median),
+                `${format(result.timeMs.mean)}ms`
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            this.rankingBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Copia la población y la tasa de mutación de una configuración a los controles
+     */
+    apply(result) {
+        if (this.app.solver.isExecuting()) {
+            this.app.addLogEntry('Detén el solver antes de aplicar otra configuración', 'warning');
+            return;
+        }
+        this.app.populationSizeInput.value = result.config.populationSize;
+        this.app.mutationRateInput.value = result.config.mutationRate;
+        this.app.updateSolverParameters();
+        this.app.addLogEntry(`Configuración aplicada: ${this.describe(result)}`, 'success');
+    }
+}